@@ -6,14 +6,21 @@ const { render } = require('ink')
 const meow = require('meow')
 
 const App = importJsx('./src/components/App')
+const Watch = importJsx('./src/components/Watch')
+const Batch = importJsx('./src/components/Batch')
+const { resolveOptions } = require('./src/utils/config')
+const { isBatch, expandInputs, nameEntries } = require('./src/utils/batch')
 
 const cli = meow(
   `
 	Usage
 	  $ npx deltadevs-gltfjsx [Model.js] [options]
+	  $ npx deltadevs-gltfjsx "assets/**/*.glb" --out src/models [options]
 
 	Options
     --types, -t         Add Typescript definitions
+    --out, -o           Output directory (default: current directory), keeps the folders of a batch
+    --mode, -M          Output: component, controls (leva) or app (default: app)
     --keepnames, -k     Keep original names
     --keepgroups, -K    Keep (empty) groups
     --meta, -m          Include metadata (as userData)
@@ -25,29 +32,89 @@ const cli = meow(
     --instance, -i      Instance re-occuring geometry
     --instanceall, -I   Instance every geometry (for cheaper re-use)
     --transform, -T     Transform the asset for the web (draco, prune, resize)
+    --transform-out     Transformed .glb or folder for it (default: [modelname]-transformed.glb next to the model)
+    --resolution        Max texture size when transforming, 0 keeps the size (default: 1024)
+    --compress          Mesh compression when transforming: draco, meshopt or none (default: draco)
+    --dracomethod       Draco method: edgebreaker or sequential (default: edgebreaker)
+    --dracolevel        Draco compression level, 0 (fastest decode) to 10 (smallest file)
+    --dracobits         Draco quantization bits for positions
+    --weld              Also weld vertices when transforming
+    --quantize          Also quantize vertex attributes when transforming
+    --gpuinstancing     Also instance repeated meshes with EXT_mesh_gpu_instancing when transforming
+    --no-dedup          Skip deduplication when transforming, also --no-resample and --no-prune
+    --stage, -S         Stage definition (.json or .js) for the generated backdrop
+    --ground, -g        Ground model (.glb/.gltf), defaults to a shadow-catcher plane
+    --preset, -P        Preset (.json) saved from the generated controls, baked into the defaults
+    --report, -R        JSON report of the model (default: [Model].report.json next to the component)
+    --reportonly        Only write the report, no component
+    --watch, -W         Regenerate when the model, its buffers and textures or the config change
     --debug, -D         Debug output
+
+  Options can also be set in a gltfjsx.config.js or gltfjsx.config.json,
+  it is looked up from the current directory upwards. Flags win over it.
+
+  Several files, directories or globs convert in one run, every model gets
+  a unique component name. The exit code is 1 if any of them failed.
 `,
   {
+    booleanDefault: undefined,
     flags: {
       types: { type: 'boolean', alias: 't' },
+      mode: { type: 'string', alias: 'M' },
+      out: { type: 'string', alias: 'o' },
       keepnames: { type: 'boolean', alias: 'k' },
       keepgroups: { type: 'boolean', alias: 'K' },
       shadows: { type: 'boolean', alias: 's' },
-      printwidth: { type: 'number', alias: 'p', default: 120 },
+      printwidth: { type: 'number', alias: 'w' },
       meta: { type: 'boolean', alias: 'm' },
-      precision: { type: 'number', alias: 'p', default: 2 },
+      precision: { type: 'number', alias: 'p' },
       draco: { type: 'string', alias: 'd' },
       root: { type: 'string', alias: 'r' },
       instance: { type: 'boolean', alias: 'i' },
       instanceall: { type: 'boolean', alias: 'I' },
       transform: { type: 'boolean', alias: 'T' },
+      transformOut: { type: 'string' },
+      resolution: { type: 'number' },
+      compress: { type: 'string' },
+      dracomethod: { type: 'string' },
+      dracolevel: { type: 'number' },
+      dracobits: { type: 'number' },
+      weld: { type: 'boolean' },
+      quantize: { type: 'boolean' },
+      gpuinstancing: { type: 'boolean' },
+      dedup: { type: 'boolean' },
+      resample: { type: 'boolean' },
+      prune: { type: 'boolean' },
+      stage: { type: 'string', alias: 'S' },
+      ground: { type: 'string', alias: 'g' },
+      preset: { type: 'string', alias: 'P' },
+      report: { type: 'string', alias: 'R' },
+      reportonly: { type: 'boolean' },
+      watch: { type: 'boolean', alias: 'W' },
       debug: { type: 'boolean', alias: 'D' },
     },
   }
 )
 
+const batch = cli.input.length > 0 && isBatch(cli.input)
+const entries = batch ? nameEntries(expandInputs(cli.input)) : cli.input.map((file) => ({ file }))
+
 if (cli.input.length === 0) {
   console.log(cli.help)
+} else if (entries.length === 0) {
+  console.error(`No .glb or .gltf files found in ${cli.input.join(', ')}`)
+  process.exit(1)
+} else if (cli.flags.watch) {
+  render(React.createElement(Watch, { entries, flags: cli.flags }))
+} else if (batch) {
+  render(React.createElement(Batch, { entries, flags: cli.flags }))
 } else {
-  render(React.createElement(App, { file: cli.input[0], ...cli.flags }))
+  let options
+  try {
+    options = resolveOptions(cli.input[0], cli.flags)
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+  render(React.createElement(App, { file: cli.input[0], ...options }))
 }
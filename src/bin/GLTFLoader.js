@@ -5,6 +5,7 @@ THREE.GLTFLoader = (function () {
     this.dracoLoader = null
     this.ddsLoader = null
     this.ktx2Loader = null
+    this.meshoptDecoder = null
 
     this.pluginCallbacks = []
 
@@ -20,9 +21,41 @@ THREE.GLTFLoader = (function () {
       return new GLTFMaterialsTransmissionExtension(parser)
     })
 
+    this.register(function (parser) {
+      return new GLTFMaterialsSheenExtension(parser)
+    })
+
+    this.register(function (parser) {
+      return new GLTFMaterialsVolumeExtension(parser)
+    })
+
+    this.register(function (parser) {
+      return new GLTFMaterialsIorExtension(parser)
+    })
+
+    this.register(function (parser) {
+      return new GLTFMaterialsSpecularExtension(parser)
+    })
+
+    this.register(function (parser) {
+      return new GLTFMaterialsEmissiveStrengthExtension(parser)
+    })
+
+    this.register(function (parser) {
+      return new GLTFMaterialsIridescenceExtension(parser)
+    })
+
     this.register(function (parser) {
       return new GLTFLightsExtension(parser)
     })
+
+    this.register(function (parser) {
+      return new GLTFMeshoptCompression(parser)
+    })
+
+    this.register(function (parser) {
+      return new GLTFMeshGpuInstancing(parser)
+    })
   }
 
   GLTFLoader.prototype = Object.assign(Object.create(THREE.Loader.prototype), {
@@ -102,6 +135,11 @@ THREE.GLTFLoader = (function () {
       return this
     },
 
+    setMeshoptDecoder: function (meshoptDecoder) {
+      this.meshoptDecoder = meshoptDecoder
+      return this
+    },
+
     register: function (callback) {
       if (this.pluginCallbacks.indexOf(callback) === -1) {
         this.pluginCallbacks.push(callback)
@@ -154,6 +192,7 @@ THREE.GLTFLoader = (function () {
         crossOrigin: this.crossOrigin,
         manager: this.manager,
         ktx2Loader: this.ktx2Loader,
+        meshoptDecoder: this.meshoptDecoder,
       })
 
       parser.fileLoader.setRequestHeader(this.requestHeader)
@@ -199,6 +238,10 @@ THREE.GLTFLoader = (function () {
               extensions[extensionName] = new GLTFMeshQuantizationExtension()
               break
 
+            case EXTENSIONS.KHR_MATERIALS_VARIANTS:
+              extensions[extensionName] = new GLTFMaterialsVariantsExtension(json)
+              break
+
             default:
               if (extensionsRequired.indexOf(extensionName) >= 0 && plugins[extensionName] === undefined) {
                 console.warn('THREE.GLTFLoader: Unknown extension "' + extensionName + '".')
@@ -246,13 +289,22 @@ THREE.GLTFLoader = (function () {
     KHR_DRACO_MESH_COMPRESSION: 'KHR_draco_mesh_compression',
     KHR_LIGHTS_PUNCTUAL: 'KHR_lights_punctual',
     KHR_MATERIALS_CLEARCOAT: 'KHR_materials_clearcoat',
+    KHR_MATERIALS_EMISSIVE_STRENGTH: 'KHR_materials_emissive_strength',
+    KHR_MATERIALS_IOR: 'KHR_materials_ior',
+    KHR_MATERIALS_IRIDESCENCE: 'KHR_materials_iridescence',
     KHR_MATERIALS_PBR_SPECULAR_GLOSSINESS: 'KHR_materials_pbrSpecularGlossiness',
+    KHR_MATERIALS_SHEEN: 'KHR_materials_sheen',
+    KHR_MATERIALS_SPECULAR: 'KHR_materials_specular',
     KHR_MATERIALS_TRANSMISSION: 'KHR_materials_transmission',
     KHR_MATERIALS_UNLIT: 'KHR_materials_unlit',
+    KHR_MATERIALS_VARIANTS: 'KHR_materials_variants',
+    KHR_MATERIALS_VOLUME: 'KHR_materials_volume',
     KHR_TEXTURE_BASISU: 'KHR_texture_basisu',
     KHR_TEXTURE_TRANSFORM: 'KHR_texture_transform',
     KHR_MESH_QUANTIZATION: 'KHR_mesh_quantization',
     MSFT_TEXTURE_DDS: 'MSFT_texture_dds',
+    EXT_MESHOPT_COMPRESSION: 'EXT_meshopt_compression',
+    EXT_MESH_GPU_INSTANCING: 'EXT_mesh_gpu_instancing',
   }
 
   /**
@@ -498,6 +550,231 @@ THREE.GLTFLoader = (function () {
     return Promise.all(pending)
   }
 
+  /**
+   * Sheen Materials Extension
+   *
+   * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_sheen
+   */
+  function GLTFMaterialsSheenExtension(parser) {
+    this.parser = parser
+    this.name = EXTENSIONS.KHR_MATERIALS_SHEEN
+  }
+
+  GLTFMaterialsSheenExtension.prototype.getMaterialType = function (materialIndex) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) return null
+
+    return THREE.MeshPhysicalMaterial
+  }
+
+  GLTFMaterialsSheenExtension.prototype.extendMaterialParams = function (materialIndex, materialParams) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) {
+      return Promise.resolve()
+    }
+
+    var extension = materialDef.extensions[this.name]
+
+    materialParams.sheenColor = new THREE.Color(0, 0, 0)
+    materialParams.sheenRoughness = 0
+    materialParams.sheen = 1
+
+    if (extension.sheenColorFactor !== undefined) {
+      materialParams.sheenColor.fromArray(extension.sheenColorFactor)
+    }
+
+    if (extension.sheenRoughnessFactor !== undefined) {
+      materialParams.sheenRoughness = extension.sheenRoughnessFactor
+    }
+
+    return Promise.resolve()
+  }
+
+  /**
+   * Volume Materials Extension
+   *
+   * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_volume
+   */
+  function GLTFMaterialsVolumeExtension(parser) {
+    this.parser = parser
+    this.name = EXTENSIONS.KHR_MATERIALS_VOLUME
+  }
+
+  GLTFMaterialsVolumeExtension.prototype.getMaterialType = function (materialIndex) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) return null
+
+    return THREE.MeshPhysicalMaterial
+  }
+
+  GLTFMaterialsVolumeExtension.prototype.extendMaterialParams = function (materialIndex, materialParams) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) {
+      return Promise.resolve()
+    }
+
+    var extension = materialDef.extensions[this.name]
+
+    materialParams.thickness = extension.thicknessFactor !== undefined ? extension.thicknessFactor : 0
+    materialParams.attenuationDistance = extension.attenuationDistance || Infinity
+
+    var colorArray = extension.attenuationColor || [1, 1, 1]
+    materialParams.attenuationColor = new THREE.Color(colorArray[0], colorArray[1], colorArray[2])
+
+    return Promise.resolve()
+  }
+
+  /**
+   * IOR Materials Extension
+   *
+   * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_ior
+   */
+  function GLTFMaterialsIorExtension(parser) {
+    this.parser = parser
+    this.name = EXTENSIONS.KHR_MATERIALS_IOR
+  }
+
+  GLTFMaterialsIorExtension.prototype.getMaterialType = function (materialIndex) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) return null
+
+    return THREE.MeshPhysicalMaterial
+  }
+
+  GLTFMaterialsIorExtension.prototype.extendMaterialParams = function (materialIndex, materialParams) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) {
+      return Promise.resolve()
+    }
+
+    var extension = materialDef.extensions[this.name]
+
+    materialParams.ior = extension.ior !== undefined ? extension.ior : 1.5
+
+    return Promise.resolve()
+  }
+
+  /**
+   * Specular Materials Extension
+   *
+   * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_specular
+   */
+  function GLTFMaterialsSpecularExtension(parser) {
+    this.parser = parser
+    this.name = EXTENSIONS.KHR_MATERIALS_SPECULAR
+  }
+
+  GLTFMaterialsSpecularExtension.prototype.getMaterialType = function (materialIndex) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) return null
+
+    return THREE.MeshPhysicalMaterial
+  }
+
+  GLTFMaterialsSpecularExtension.prototype.extendMaterialParams = function (materialIndex, materialParams) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) {
+      return Promise.resolve()
+    }
+
+    var extension = materialDef.extensions[this.name]
+
+    materialParams.specularIntensity = extension.specularFactor !== undefined ? extension.specularFactor : 1.0
+
+    var colorArray = extension.specularColorFactor || [1, 1, 1]
+    materialParams.specularColor = new THREE.Color(colorArray[0], colorArray[1], colorArray[2])
+
+    return Promise.resolve()
+  }
+
+  /**
+   * Emissive Strength Materials Extension
+   *
+   * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_emissive_strength
+   */
+  function GLTFMaterialsEmissiveStrengthExtension(parser) {
+    this.parser = parser
+    this.name = EXTENSIONS.KHR_MATERIALS_EMISSIVE_STRENGTH
+  }
+
+  GLTFMaterialsEmissiveStrengthExtension.prototype.extendMaterialParams = function (materialIndex, materialParams) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) {
+      return Promise.resolve()
+    }
+
+    var extension = materialDef.extensions[this.name]
+
+    if (extension.emissiveStrength !== undefined) {
+      materialParams.emissiveIntensity = extension.emissiveStrength
+    }
+
+    return Promise.resolve()
+  }
+
+  /**
+   * Iridescence Materials Extension
+   *
+   * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_iridescence
+   */
+  function GLTFMaterialsIridescenceExtension(parser) {
+    this.parser = parser
+    this.name = EXTENSIONS.KHR_MATERIALS_IRIDESCENCE
+  }
+
+  GLTFMaterialsIridescenceExtension.prototype.getMaterialType = function (materialIndex) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) return null
+
+    return THREE.MeshPhysicalMaterial
+  }
+
+  GLTFMaterialsIridescenceExtension.prototype.extendMaterialParams = function (materialIndex, materialParams) {
+    var parser = this.parser
+    var materialDef = parser.json.materials[materialIndex]
+
+    if (!materialDef.extensions || !materialDef.extensions[this.name]) {
+      return Promise.resolve()
+    }
+
+    var extension = materialDef.extensions[this.name]
+
+    if (extension.iridescenceFactor !== undefined) {
+      materialParams.iridescence = extension.iridescenceFactor
+    }
+
+    if (extension.iridescenceIor !== undefined) {
+      materialParams.iridescenceIOR = extension.iridescenceIor
+    }
+
+    materialParams.iridescenceThicknessRange = [
+      extension.iridescenceThicknessMinimum !== undefined ? extension.iridescenceThicknessMinimum : 100,
+      extension.iridescenceThicknessMaximum !== undefined ? extension.iridescenceThicknessMaximum : 400,
+    ]
+
+    return Promise.resolve()
+  }
+
   /**
    * BasisU Texture Extension
    *
@@ -628,6 +905,226 @@ THREE.GLTFLoader = (function () {
     })
   }
 
+  /**
+   * meshopt BufferView Compression Extension
+   *
+   * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Vendor/EXT_meshopt_compression
+   */
+  function GLTFMeshoptCompression(parser) {
+    this.name = EXTENSIONS.EXT_MESHOPT_COMPRESSION
+    this.parser = parser
+  }
+
+  GLTFMeshoptCompression.prototype.loadBufferView = function (index) {
+    var json = this.parser.json
+    var bufferView = json.bufferViews[index]
+
+    if (bufferView.extensions && bufferView.extensions[this.name]) {
+      var extensionDef = bufferView.extensions[this.name]
+      var buffer = this.parser.getDependency('buffer', extensionDef.buffer)
+      var decoder = this.parser.options.meshoptDecoder
+
+      if (!decoder || !decoder.supported) {
+        if (json.extensionsRequired && json.extensionsRequired.indexOf(this.name) >= 0) {
+          throw new Error('THREE.GLTFLoader: setMeshoptDecoder must be called before loading compressed files')
+        } else {
+          // Assumes that the extension is optional and that fallback buffer data is present
+          return null
+        }
+      }
+
+      return Promise.all([buffer, decoder.ready]).then(function (res) {
+        var byteOffset = extensionDef.byteOffset || 0
+        var byteLength = extensionDef.byteLength || 0
+
+        var count = extensionDef.count
+        var stride = extensionDef.byteStride
+
+        var result = new ArrayBuffer(count * stride)
+
+        // Buffers are left empty while only the structure is read, there is nothing to decode then
+        if (res[0].byteLength < byteOffset + byteLength) return result
+
+        var source = new Uint8Array(res[0], byteOffset, byteLength)
+
+        decoder.decodeGltfBuffer(new Uint8Array(result), count, stride, source, extensionDef.mode, extensionDef.filter)
+        return result
+      })
+    } else {
+      return null
+    }
+  }
+
+  /**
+   * GPU Instancing Extension
+   *
+   * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Vendor/EXT_mesh_gpu_instancing
+   */
+  function GLTFMeshGpuInstancing(parser) {
+    this.name = EXTENSIONS.EXT_MESH_GPU_INSTANCING
+    this.parser = parser
+  }
+
+  GLTFMeshGpuInstancing.prototype.createNodeMesh = function (nodeIndex) {
+    var parser = this.parser
+    var json = parser.json
+    var nodeDef = json.nodes[nodeIndex]
+
+    if (!nodeDef.extensions || !nodeDef.extensions[this.name] || nodeDef.mesh === undefined) return null
+
+    var attributes = nodeDef.extensions[this.name].attributes || {}
+    var semantics = ['TRANSLATION', 'ROTATION', 'SCALE'].filter(function (semantic) {
+      return attributes[semantic] !== undefined
+    })
+    var count = semantics.length ? json.accessors[attributes[semantics[0]]].count : 0
+
+    var pending = [parser.getDependency('mesh', nodeDef.mesh)]
+
+    for (var i = 0; i < semantics.length; i++) {
+      pending.push(readAccessor(parser, attributes[semantics[i]]))
+    }
+
+    return Promise.all(pending).then(function (results) {
+      var mesh = results[0]
+      var values = {}
+
+      for (var i = 0; i < semantics.length; i++) {
+        if (results[i + 1]) {
+          values[semantics[i]] = results[i + 1]
+        } else {
+          console.warn(
+            'THREE.GLTFLoader: Instance ' +
+              semantics[i].toLowerCase() +
+              's of node ' +
+              nodeIndex +
+              ' could not be read.'
+          )
+        }
+      }
+
+      var position = new THREE.Vector3()
+      var quaternion = new THREE.Quaternion()
+      var scale = new THREE.Vector3()
+      var matrix = new THREE.Matrix4()
+
+      var instancedMeshes = (mesh.isGroup ? mesh.children : [mesh]).map(function (child) {
+        var instancedMesh = new THREE.InstancedMesh(child.geometry, child.material, count)
+
+        instancedMesh.name = child.name
+        instancedMesh.userData = JSON.parse(JSON.stringify(child.userData))
+        instancedMesh.position.copy(child.position)
+        instancedMesh.quaternion.copy(child.quaternion)
+        instancedMesh.scale.copy(child.scale)
+
+        for (var i = 0; i < count; i++) {
+          if (values.TRANSLATION) position.fromArray(values.TRANSLATION, i * 3)
+          else position.set(0, 0, 0)
+          if (values.ROTATION) quaternion.fromArray(values.ROTATION, i * 4)
+          else quaternion.set(0, 0, 0, 1)
+          if (values.SCALE) scale.fromArray(values.SCALE, i * 3)
+          else scale.set(1, 1, 1)
+
+          instancedMesh.setMatrixAt(i, matrix.compose(position, quaternion, scale))
+        }
+
+        return instancedMesh
+      })
+
+      if (!mesh.isGroup) return instancedMeshes[0]
+
+      var group = new THREE.Group()
+
+      for (var i = 0; i < instancedMeshes.length; i++) {
+        group.add(instancedMeshes[i])
+      }
+
+      return group
+    })
+  }
+
+  // Only the structure is loaded, accessors carry no data. Instance transforms are read straight from the
+  // buffers instead, which works for the GLB body and data uris but not for external files
+  function readBuffer(parser, bufferIndex) {
+    var bufferDef = parser.json.buffers[bufferIndex]
+    var binary = parser.extensions[EXTENSIONS.KHR_BINARY_GLTF]
+
+    if (bufferDef.uri === undefined && bufferIndex === 0 && binary) return binary.body
+
+    if (bufferDef.uri && bufferDef.uri.indexOf('data:') === 0) {
+      var data = atob(bufferDef.uri.split(',')[1])
+      var bytes = new Uint8Array(data.length)
+
+      for (var i = 0; i < data.length; i++) bytes[i] = data.charCodeAt(i)
+
+      return bytes.buffer
+    }
+
+    return null
+  }
+
+  function readBufferView(parser, bufferViewIndex) {
+    var bufferViewDef = parser.json.bufferViews[bufferViewIndex]
+    var meshopt = bufferViewDef.extensions && bufferViewDef.extensions[EXTENSIONS.EXT_MESHOPT_COMPRESSION]
+    var source = meshopt || bufferViewDef
+    var buffer = readBuffer(parser, source.buffer)
+
+    if (!buffer) return Promise.resolve(null)
+
+    var byteOffset = source.byteOffset || 0
+    var data = buffer.slice(byteOffset, byteOffset + (source.byteLength || 0))
+
+    if (!meshopt) return Promise.resolve(data)
+
+    var decoder = parser.options.meshoptDecoder
+
+    if (!decoder || !decoder.supported) return Promise.resolve(null)
+
+    return decoder.ready.then(function () {
+      var result = new Uint8Array(meshopt.count * meshopt.byteStride)
+      decoder.decodeGltfBuffer(
+        result,
+        meshopt.count,
+        meshopt.byteStride,
+        new Uint8Array(data),
+        meshopt.mode,
+        meshopt.filter
+      )
+      return result.buffer
+    })
+  }
+
+  var NORMALIZED_COMPONENT_SCALES = { 5120: 127, 5121: 255, 5122: 32767, 5123: 65535 }
+
+  // Resolves with the accessor's values as floats, normalized integers are scaled back into -1 to 1
+  function readAccessor(parser, accessorIndex) {
+    var json = parser.json
+    var accessorDef = json.accessors[accessorIndex]
+
+    if (accessorDef.bufferView === undefined) return Promise.resolve(null)
+
+    return readBufferView(parser, accessorDef.bufferView).then(function (buffer) {
+      if (!buffer) return null
+
+      var TypedArray = WEBGL_COMPONENT_TYPES[accessorDef.componentType]
+      var itemSize = WEBGL_TYPE_SIZES[accessorDef.type]
+      var elementBytes = TypedArray.BYTES_PER_ELEMENT
+      var byteStride = json.bufferViews[accessorDef.bufferView].byteStride || elementBytes * itemSize
+      var byteOffset = accessorDef.byteOffset || 0
+      var divisor = (accessorDef.normalized && NORMALIZED_COMPONENT_SCALES[accessorDef.componentType]) || 1
+      var values = new Float32Array(accessorDef.count * itemSize)
+
+      for (var i = 0; i < accessorDef.count; i++) {
+        for (var j = 0; j < itemSize; j++) {
+          var offset = byteOffset + i * byteStride + j * elementBytes
+          var value = new TypedArray(buffer.slice(offset, offset + elementBytes))[0]
+          values[i * itemSize + j] = divisor > 1 ? Math.max(value / divisor, -1) : value
+        }
+      }
+
+      return values
+    })
+  }
+
   /**
    * Texture Transform Extension
    *
@@ -936,6 +1433,38 @@ THREE.GLTFLoader = (function () {
     this.name = EXTENSIONS.KHR_MESH_QUANTIZATION
   }
 
+  /**
+   * Materials Variants Extension
+   *
+   * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_variants
+   */
+  function GLTFMaterialsVariantsExtension(json) {
+    this.name = EXTENSIONS.KHR_MATERIALS_VARIANTS
+
+    var extensionDef = (json.extensions && json.extensions[this.name]) || {}
+
+    this.variants = (extensionDef.variants || []).map(function (variant, i) {
+      return variant.name || 'variant_' + i
+    })
+  }
+
+  // Maps the name of every variant that changes the primitive's material to the index of that material
+  GLTFMaterialsVariantsExtension.prototype.getVariantMaterials = function (primitiveDef) {
+    var variants = this.variants
+    var mappings = primitiveDef.extensions[this.name].mappings || []
+    var variantMaterials = {}
+
+    for (var i = 0; i < mappings.length; i++) {
+      for (var j = 0; j < mappings[i].variants.length; j++) {
+        var variant = variants[mappings[i].variants[j]]
+
+        if (variant !== undefined) variantMaterials[variant] = mappings[i].material
+      }
+    }
+
+    return variantMaterials
+  }
+
   /*********************************/
   /********** INTERPOLATION ********/
   /*********************************/
@@ -1364,6 +1893,10 @@ THREE.GLTFLoader = (function () {
 
         addUnknownExtensionsToUserData(extensions, result, json)
 
+        if (extensions[EXTENSIONS.KHR_MATERIALS_VARIANTS]) {
+          result.userData.variants = extensions[EXTENSIONS.KHR_MATERIALS_VARIANTS].variants
+        }
+
         assignExtrasToUserData(result, json)
 
         onLoad(result)
@@ -1498,7 +2031,12 @@ THREE.GLTFLoader = (function () {
           break
 
         case 'bufferView':
-          dependency = Promise.resolve(new Float32Array(0))
+          // Only compressed views go through their extension, the parser itself doesn't read plain data
+          var parser = this
+          dependency =
+            this._invokeOne(function (ext) {
+              return ext !== parser && ext.loadBufferView && ext.loadBufferView(index)
+            }) || Promise.resolve(new Float32Array(0))
           break
 
         case 'buffer':
@@ -1801,6 +2339,7 @@ THREE.GLTFLoader = (function () {
 
       if (!cachedMaterial) {
         cachedMaterial = material.clone()
+        Object.assign(cachedMaterial, this.cache.get('UnknownMaterialParams:' + material.uuid))
 
         if (useSkinning) cachedMaterial.skinning = true
         if (useVertexTangents) cachedMaterial.vertexTangents = true
@@ -1940,7 +2479,24 @@ THREE.GLTFLoader = (function () {
       if (materialType === GLTFMeshStandardSGMaterial) {
         material = extensions[EXTENSIONS.KHR_MATERIALS_PBR_SPECULAR_GLOSSINESS].createMaterial(materialParams)
       } else {
-        material = new materialType(materialParams)
+        material = new materialType()
+
+        // Newer extensions set properties this build of three doesn't have yet (or had with another meaning,
+        // like sheen, which used to be a color), setValues and copy would drop them
+        var unknownParams = {}
+
+        for (var key in materialParams) {
+          var value = materialParams[key]
+
+          if (material[key] === undefined || (material[key] === null && typeof value !== 'object')) {
+            unknownParams[key] = value
+            delete materialParams[key]
+          }
+        }
+
+        material.setValues(materialParams)
+        Object.assign(material, unknownParams)
+        parser.cache.add('UnknownMaterialParams:' + material.uuid, unknownParams)
       }
 
       if (materialDef.name) material.name = materialDef.name
@@ -2206,6 +2762,16 @@ THREE.GLTFLoader = (function () {
           geometryPromise = addPrimitiveAttributes(new THREE.BufferGeometry(), primitive, parser)
         }
 
+        // Geometries carry no data here, the association leads back to the accessors
+        geometryPromise = geometryPromise.then(
+          (function (primitive) {
+            return function (geometry) {
+              parser.associations.set(geometry, { type: 'primitives', primitive: primitive })
+              return geometry
+            }
+          })(primitive)
+        )
+
         // Cache this geometry
         cache[cacheKey] = { primitive: primitive, promise: geometryPromise }
 
@@ -2296,6 +2862,11 @@ THREE.GLTFLoader = (function () {
         assignExtrasToUserData(mesh, meshDef)
         if (primitive.extensions) addUnknownExtensionsToUserData(extensions, mesh, primitive)
 
+        if (primitive.extensions && primitive.extensions[EXTENSIONS.KHR_MATERIALS_VARIANTS]) {
+          var variantsExtension = extensions[EXTENSIONS.KHR_MATERIALS_VARIANTS]
+          mesh.userData.variantMaterials = variantsExtension.getVariantMaterials(primitive)
+        }
+
         parser.assignFinalMaterial(mesh)
 
         meshes.push(mesh)
@@ -2523,10 +3094,16 @@ THREE.GLTFLoader = (function () {
       var pending = []
 
       if (nodeDef.mesh !== undefined) {
-        pending.push(
+        var meshPromise =
+          parser._invokeOne(function (ext) {
+            return ext.createNodeMesh && ext.createNodeMesh(nodeIndex)
+          }) ||
           parser.getDependency('mesh', nodeDef.mesh).then(function (mesh) {
-            var node = parser._getNodeRef(parser.meshCache, nodeDef.mesh, mesh)
+            return parser._getNodeRef(parser.meshCache, nodeDef.mesh, mesh)
+          })
 
+        pending.push(
+          meshPromise.then(function (node) {
             // if weights are provided on the node, override weights on the mesh.
             if (nodeDef.weights !== undefined) {
               node.traverse(function (o) {
@@ -1,24 +1,34 @@
 'use strict'
+const fs = require('fs')
 const React = require('react')
 const { Text, Box } = require('ink')
 const importJsx = require('import-jsx')
 const gltfjsx = require('../gltfjsx')
+const { getOutputPath, getReportPath } = require('../utils/output')
 const ErrorBoundary = importJsx('./ErrorBoundary')
+const TransformSummary = importJsx('./TransformSummary')
 
 function Conversion({ file, ...config }) {
   let nameExt = file.match(/[-_\w]+[.][\w]+$/i)[0]
   let name = nameExt.split('.').slice(0, -1).join('.')
-  let output = name.charAt(0).toUpperCase() + name.slice(1) + (config.types ? '.tsx' : '.js')
+  let output = getOutputPath(file, config)
+  let written = config.reportonly ? getReportPath(output, config.report) : output
 
   const [done, setDone] = React.useState(false)
   const [log, setLog] = React.useState([])
+  const [warnings, setWarnings] = React.useState([])
+  const [transformed, setTransformed] = React.useState(null)
 
   React.useEffect(() => {
     async function run() {
       try {
-        await gltfjsx(file, output, { ...config, setLog, timeout: 0, delay: 1 })
+        if (config.out) fs.mkdirSync(config.out, { recursive: true })
+        const result = await gltfjsx(file, output, { ...config, setLog, timeout: 0, delay: 1 })
+        setWarnings(result.warnings)
+        setTransformed(result.transform)
         setDone(true)
       } catch (e) {
+        process.exitCode = 1
         setDone(() => {
           throw e
         })
@@ -42,10 +52,18 @@ function Conversion({ file, ...config }) {
           <Text color="black" backgroundColor="green">
             {' Done: '}
           </Text>
-          <Text> {output} || WE ARE WEB3. WE ARE DELTADEVS.</Text>
+          <Text> {written} || WE ARE WEB3. WE ARE DELTADEVS.</Text>
           {config.process && <Text>! WE ARE WEB3. WE ARE DELTADEVS. {name}-processed.glb is done!</Text>}
         </Box>
       )}
+      {done && transformed && <TransformSummary output={transformed.output} stats={transformed.stats} />}
+      {done &&
+        warnings.map((warning, i) => (
+          <Text key={i} color="yellow">
+            {' Warn  '}
+            {warning}
+          </Text>
+        ))}
     </>
   )
 }
@@ -0,0 +1,137 @@
+'use strict'
+const fs = require('fs')
+const path = require('path')
+const React = require('react')
+const { Text, Box } = require('ink')
+const importJsx = require('import-jsx')
+const gltfjsx = require('../gltfjsx')
+const { resolveOptions } = require('../utils/config')
+const TransformSummary = importJsx('./TransformSummary')
+const { getOutputPath, getReportPath, getTransformPath, hasReport } = require('../utils/output')
+
+const labels = {
+  pending: { text: ' Wait  ', color: 'gray' },
+  parse: { text: ' Parse ', color: 'black', backgroundColor: 'white' },
+  done: { text: ' Done: ', color: 'black', backgroundColor: 'green' },
+  error: { text: ' Error ', color: 'white', backgroundColor: 'red' },
+}
+
+function Label({ state }) {
+  const label = labels[state]
+  return (
+    <Text color={label.color} backgroundColor={label.backgroundColor}>
+      {label.text}
+    </Text>
+  )
+}
+
+function Summary({ entries, results }) {
+  const failed = results.filter((result) => result.state === 'error').length
+  const width = Math.max(...entries.map((entry) => entry.file.length), 'Input'.length) + 1
+  return (
+    <Box flexDirection="column" marginTop={1}>
+      <Box>
+        <Box width={8} flexShrink={0} />
+        <Box width={width} flexShrink={0}>
+          <Text bold>Input</Text>
+        </Box>
+        <Box width={8} flexShrink={0}>
+          <Text bold>Time</Text>
+        </Box>
+        <Text bold>Output</Text>
+      </Box>
+      {entries.map((entry, i) => (
+        <Box key={entry.file}>
+          <Box width={8} flexShrink={0}>
+            <Label state={results[i].state} />
+          </Box>
+          <Box width={width} flexShrink={0}>
+            <Text>{entry.file}</Text>
+          </Box>
+          <Box width={8} flexShrink={0}>
+            <Text color="gray">{results[i].time}ms</Text>
+          </Box>
+          {results[i].state === 'done' ? (
+            <Box flexDirection="column">
+              <Text>{results[i].output}</Text>
+              {results[i].transform && <TransformSummary compact stats={results[i].transform.stats} />}
+              {results[i].warnings.map((warning) => (
+                <Text key={warning} color="yellow">
+                  {warning}
+                </Text>
+              ))}
+            </Box>
+          ) : (
+            <Text color="red">{results[i].message}</Text>
+          )}
+        </Box>
+      ))}
+      <Text color={failed ? 'red' : 'green'}>
+        {entries.length - failed} of {entries.length} converted{failed ? `, ${failed} failed` : ''}
+      </Text>
+    </Box>
+  )
+}
+
+// Converts every entry one after the other, a failing file doesn't stop the others
+module.exports = function Batch({ entries, flags }) {
+  const [results, setResults] = React.useState(() => entries.map(() => ({ state: 'pending' })))
+  const [log, setLog] = React.useState([])
+  const [done, setDone] = React.useState(false)
+
+  React.useEffect(() => {
+    async function run() {
+      for (let i = 0; i < entries.length; i++) {
+        const { file, dir, name } = entries[i]
+        const update = (result) => setResults((state) => state.map((current, j) => (j === i ? result : current)))
+        const start = Date.now()
+        update({ state: 'parse' })
+        try {
+          const options = resolveOptions(file, flags)
+          const output = getOutputPath(file, options, { name, dir })
+          fs.mkdirSync(path.dirname(output), { recursive: true })
+          // One report path can't hold the whole batch, every model gets its own next to its component
+          const report = hasReport(options) || undefined
+          const transformOut = options.transform ? getTransformPath(file, options, { dir, batch: true }) : undefined
+          const { warnings, transform } = await gltfjsx(file, output, {
+            ...options,
+            name,
+            report,
+            transformOut,
+            setLog,
+            timeout: 0,
+            delay: 0,
+          })
+          const written = options.reportonly ? getReportPath(output, report) : output
+          update({ state: 'done', output: written, warnings, transform, time: Date.now() - start })
+        } catch (e) {
+          process.exitCode = 1
+          update({ state: 'error', message: String((e && e.message) || e), time: Date.now() - start })
+        }
+      }
+      setDone(true)
+    }
+    run()
+  }, [])
+
+  if (done) return <Summary entries={entries} results={results} />
+
+  const current = results.findIndex((result) => result.state === 'parse')
+  const finished = results.filter((result) => result.state === 'done' || result.state === 'error').length
+  return (
+    <>
+      {entries.map((entry, i) => (
+        <Box key={entry.file}>
+          <Label state={results[i].state} />
+          <Text color={results[i].state === 'pending' ? 'gray' : undefined}> {entry.file}</Text>
+          {results[i].state === 'done' && <Text> → {results[i].output}</Text>}
+          {results[i].state === 'error' && <Text color="red"> {results[i].message}</Text>}
+          {i === current && <Text color="gray"> {(log[log.length - 1] || '').trim()}</Text>}
+        </Box>
+      ))}
+      <Text color="gray">
+        {finished} of {entries.length} files
+      </Text>
+    </>
+  )
+}
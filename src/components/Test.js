@@ -4,14 +4,99 @@ const { Text, Box } = require('ink')
 const importJsx = require('import-jsx')
 const fg = require('fast-glob')
 const fs = require('fs-extra')
+const babelParser = require('@babel/parser')
 const gltfjsx = require('../gltfjsx')
+const convert = require('../convert')
+const writeFixtures = require('../fixtures')
 const ErrorBoundary = importJsx('./ErrorBoundary')
 
 fs.removeSync('.test')
-fs.mkdirSync('.test')
+fs.mkdirSync('.test/fixtures', { recursive: true })
 
 const config = { types: false, precision: 2, verbose: false, draco: undefined, silent: true }
-const entries = fg.sync(['node_modules/glTF-Sample-Models/2.0/**/*.{gltf,glb}'], { dot: true })
+const entries = [
+  ...fg.sync(['node_modules/glTF-Sample-Models/2.0/**/*.{gltf,glb}'], { dot: true }),
+  ...writeFixtures('.test/fixtures'),
+]
+
+// The Names fixture hides this identifier in its names, it must never end up as code
+const injected = 'gltfjsxInjected'
+
+function findIdentifier(node, name) {
+  if (!node || typeof node !== 'object') return false
+  if (Array.isArray(node)) return node.some((child) => findIdentifier(child, name))
+  if ((node.type === 'Identifier' || node.type === 'JSXIdentifier') && node.name === name) return true
+  return Object.keys(node).some((key) => findIdentifier(node[key], name))
+}
+
+// Plain javascript output must parse without typescript (or flow) support
+function check(output, types, code = fs.readFileSync(output, 'utf8')) {
+  const plugins = types ? ['jsx', 'typescript'] : ['jsx']
+  let ast
+  try {
+    ast = babelParser.parse(code, { sourceType: 'module', plugins })
+  } catch (e) {
+    throw new Error(`${output} is not valid ${types ? 'TSX' : 'JSX'}: ${e.message}`)
+  }
+  if (findIdentifier(ast.program, injected)) throw new Error(`${output} runs code from a name in the model`)
+}
+
+const sections = ['nodes', 'meshes', 'materials', 'textures', 'animations', 'cameras', 'lights', 'skins', 'instancing']
+
+function checkReport(report) {
+  const json = fs.readJsonSync(report)
+  const missing = sections.filter((section) => !Array.isArray(json[section]))
+  if (json.version !== 1 || missing.length) throw new Error(`${report} is incomplete: ${missing.join(', ')}`)
+}
+
+// Outputs of some fixtures must hold more than valid code
+const expectations = {
+  'Scene.glb': {
+    // Both clips run from 0 to 1, the time slider ends there
+    controls: (code) => /time: \{\s*value: 0,\s*min: 0,\s*max: 1,/.test(code),
+    // Wiggle and Jump each move one box for a second
+    report: ({ animations }) =>
+      animations.length === 2 &&
+      animations.every(({ duration, tracks, targets }) => duration === 1 && tracks === 1 && targets.length === 1),
+  },
+  'Glow.glb': {
+    // Sliders without an upper bound end at twice the value, iridescence comes through
+    controls: (code) =>
+      /emissiveIntensity0: \{ value: [\w.]+, min: 0, max: 80,/.test(code) &&
+      /thickness0: \{ value: [\w.]+, min: 0, max: 80,/.test(code) &&
+      /attenuationDistance0: \{ value: [\w.]+, min: 0, max: 600,/.test(code) &&
+      /ctx_emissiveIntensity0: 40,/.test(code) &&
+      /ctx_iridescence0: 1,/.test(code) &&
+      /ctx_iridescenceIOR0: 1\.8,/.test(code),
+  },
+  'Collisions.glb': {
+    // The second Metal is the loader's copy for the skinned mesh, Paint_2 a second material named Paint
+    component: (code) =>
+      /material=\{nodes\.Skinned\.material\}/.test(code) &&
+      /material=\{nodes\.Wheel_3\.material\}/.test(code) &&
+      !/materials\.(Metal|Paint)_2|Metal_2:|Paint_2:/.test(code),
+  },
+  'Names.glb': {
+    // Names with a backslash are quoted, as identifiers they would not parse or name another key (uAx)
+    controls: (code) =>
+      /nodes\['Back\\\\slash'\]\.geometry/.test(code) &&
+      /nodes\['u\\\\u0041x'\]\.geometry/.test(code) &&
+      /materials\['Back\\\\slash'\]/.test(code),
+  },
+  'Variants.glb': {
+    // A variant prop that changes after mount still reaches the dropdown
+    controls: (code) => /if \(variant\) setVariantControls\(\{ variant: variant \}\)\s*\}, \[variant\]\)/.test(code),
+  },
+  'Instancing.glb': {
+    // Scatter's three instances, its mesh and Box and Box2, also after a transform with gpuinstancing
+    gpuinstancing: (code) => code.split('<Instance ').length - 1 === 3 && code.split('<mesh').length - 1 === 3,
+  },
+}
+
+function expect(nameExt, mode, output, value) {
+  const test = expectations[nameExt] && expectations[nameExt][mode]
+  if (test && !test(value)) throw new Error(`${output} isn't what ${nameExt} should give in ${mode} mode`)
+}
 
 function TestGltfs() {
   const [file, setFile] = React.useState()
@@ -23,9 +108,31 @@ function TestGltfs() {
       try {
         for (let file of entries) {
           let nameExt = file.match(/[-_\w]+[.][\w]+$/i)[0]
-          let output = '.test/' + nameExt.charAt(0).toUpperCase() + nameExt.slice(1) + (config.types ? '.tsx' : '.js')
-          setFile(nameExt)
-          await gltfjsx(file, output, { ...config, setLog, timeout: 0, delay: 0 })
+          for (let mode of ['component', 'controls', 'app']) {
+            for (let types of [false, true]) {
+              let name = nameExt.charAt(0).toUpperCase() + nameExt.slice(1)
+              let output = `.test/${name}.${mode}${types ? '.tsx' : '.js'}`
+              setFile(`${nameExt} (${mode})`)
+              await gltfjsx(file, output, { ...config, mode, types, setLog, timeout: 0, delay: 0 })
+              check(output, types)
+              expect(nameExt, mode, output, fs.readFileSync(output, 'utf8'))
+            }
+          }
+          let report = `.test/${nameExt}.report.json`
+          await gltfjsx(file, '', { ...config, report, reportonly: true, timeout: 0, delay: 0 })
+          checkReport(report)
+          expect(nameExt, 'report', report, fs.readJsonSync(report))
+          // The API works on the bytes alone and returns everything instead of writing it
+          let result = await convert(fs.readFileSync(file), { ...config, mode: 'component' })
+          check(`${nameExt} (convert)`, false, result.code)
+          check(`${nameExt} (convert types)`, true, result.types)
+          if (expectations[nameExt] && expectations[nameExt].gpuinstancing) {
+            let output = `.test/${nameExt}.gpuinstancing.js`
+            let transformOut = `.test/${nameExt}-transformed.glb`
+            let options = { transform: true, transformOut, gpuinstancing: true, compress: 'none' }
+            await gltfjsx(file, output, { ...config, ...options, timeout: 0, delay: 0 })
+            expect(nameExt, 'gpuinstancing', output, fs.readFileSync(output, 'utf8'))
+          }
         }
         fs.removeSync('.test')
         setDone(true)
@@ -0,0 +1,72 @@
+'use strict'
+const React = require('react')
+const { Text, Box } = require('ink')
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`
+}
+
+function formatChange(before, after) {
+  if (!before || before === after) return ''
+  const change = Math.round(((after - before) / before) * 100)
+  return ` (${change > 0 ? '+' : ''}${change}%)`
+}
+
+const columns = [
+  { title: 'Size', key: 'size', format: formatBytes },
+  { title: 'Triangles', key: 'triangles', format: String },
+  { title: 'Textures', key: 'textures', format: formatBytes },
+]
+
+// Size, triangles and texture bytes after every transform step, changes are relative to the step before.
+// Compact only compares the input with the final result
+module.exports = function TransformSummary({ output, stats, compact }) {
+  const first = stats[0]
+  const last = stats[stats.length - 1]
+  if (compact)
+    return (
+      <Text color="gray">
+        transformed {formatBytes(first.size)} → {formatBytes(last.size)}
+        {formatChange(first.size, last.size)}
+      </Text>
+    )
+  return (
+    <Box flexDirection="column" marginTop={1}>
+      <Text bold>{output}</Text>
+      <Box>
+        <Box width={16} flexShrink={0}>
+          <Text bold>Step</Text>
+        </Box>
+        {columns.map(({ title }) => (
+          <Box key={title} width={22} flexShrink={0}>
+            <Text bold>{title}</Text>
+          </Box>
+        ))}
+      </Box>
+      {stats.map((stat, i) => (
+        <Box key={stat.step}>
+          <Box width={16} flexShrink={0}>
+            <Text>{stat.step}</Text>
+          </Box>
+          {columns.map(({ key, format }) => (
+            <Box key={key} width={22} flexShrink={0}>
+              <Text>
+                {format(stat[key])}
+                <Text color={i && stat[key] < stats[i - 1][key] ? 'green' : 'gray'}>
+                  {i ? formatChange(stats[i - 1][key], stat[key]) : ''}
+                </Text>
+              </Text>
+            </Box>
+          ))}
+        </Box>
+      ))}
+      <Text>
+        {'Total           '}
+        {formatBytes(first.size)} → {formatBytes(last.size)}
+        <Text color="green">{formatChange(first.size, last.size)}</Text>
+      </Text>
+    </Box>
+  )
+}
@@ -0,0 +1,84 @@
+'use strict'
+const fs = require('fs')
+const path = require('path')
+const React = require('react')
+const { Text, Box } = require('ink')
+const gltfjsx = require('../gltfjsx')
+const { findConfig, resolveOptions } = require('../utils/config')
+const { getOutputPath, getTransformPath, hasReport } = require('../utils/output')
+const { getDependencies, watchFiles } = require('../utils/watch')
+
+const labels = {
+  parse: { text: ' Parse ', color: 'black', backgroundColor: 'white' },
+  done: { text: ' Done: ', color: 'black', backgroundColor: 'green' },
+  error: { text: ' Error ', color: 'white', backgroundColor: 'red' },
+}
+
+function WatchedFile({ entry: { file, dir, name }, flags }) {
+  const [status, setStatus] = React.useState({ state: 'parse', runs: 0 })
+
+  React.useEffect(() => {
+    let close = () => {}
+    let closed = false
+    let runs = 0
+
+    // Options are resolved on every run, the config file may have changed too
+    async function run(changed) {
+      close()
+      runs++
+      setStatus({ state: 'parse', runs, changed })
+      try {
+        const options = resolveOptions(file, flags)
+        const output = getOutputPath(file, options, { name, dir })
+        fs.mkdirSync(path.dirname(output), { recursive: true })
+        const report = name ? hasReport(options) || undefined : options.report
+        // Batch entries keep their folder below --transform-out, like they do in --out
+        const transformOut =
+          name && options.transform ? getTransformPath(file, options, { dir, batch: true }) : options.transformOut
+        await gltfjsx(file, output, { ...options, name, report, transformOut, timeout: 0, delay: 0 })
+        setStatus({ state: 'done', runs, output, time: new Date().toLocaleTimeString() })
+      } catch (e) {
+        setStatus({ state: 'error', runs, message: String((e && e.message) || e) })
+      }
+      if (!closed) close = watchFiles([...getDependencies(file), findConfig()].filter(Boolean), run)
+    }
+
+    run()
+    return () => {
+      closed = true
+      close()
+    }
+  }, [])
+
+  const label = labels[status.state]
+  return (
+    <Box>
+      <Text color={label.color} backgroundColor={label.backgroundColor}>
+        {label.text}
+      </Text>
+      <Text> {file}</Text>
+      {status.state === 'parse' && status.changed && <Text color="gray"> {status.changed} changed</Text>}
+      {status.state === 'done' && (
+        <Text>
+          {' '}
+          → {status.output}{' '}
+          <Text color="gray">
+            (run {status.runs}, {status.time})
+          </Text>
+        </Text>
+      )}
+      {status.state === 'error' && <Text color="red"> {status.message}</Text>}
+    </Box>
+  )
+}
+
+module.exports = function Watch({ entries, flags }) {
+  return (
+    <>
+      {entries.map((entry) => (
+        <WatchedFile key={entry.file} entry={entry} flags={flags} />
+      ))}
+      <Text color="gray">Watching for changes, press Ctrl+C to stop</Text>
+    </>
+  )
+}
@@ -0,0 +1,117 @@
+const fs = require('fs')
+const path = require('path')
+const prettier = require('prettier')
+const parserBabel = require('prettier/parser-babel')
+require('jsdom-global')()
+const THREE = (global.THREE = require('three'))
+require('./bin/GLTFLoader')
+const DracoLoader = require('./bin/DRACOLoader')
+const { MeshoptDecoder } = require('meshoptimizer')
+THREE.DRACOLoader.getDecoderModule = () => {}
+const { generate } = require('./utils/parser')
+const { loadStage } = require('./utils/stage')
+const { loadPreset } = require('./utils/preset')
+const { defaults } = require('./utils/config')
+const { createReport } = require('./utils/report')
+
+function toArrayBuffer(buf) {
+  var ab = new ArrayBuffer(buf.length)
+  var view = new Uint8Array(ab)
+  for (var i = 0; i < buf.length; ++i) view[i] = buf[i]
+  return ab
+}
+
+const gltfLoader = new THREE.GLTFLoader()
+gltfLoader.setDRACOLoader(new DracoLoader())
+gltfLoader.setMeshoptDecoder(MeshoptDecoder)
+
+// The loader reports problems through console.warn, they are collected instead of printed. Loads wait for each
+// other, otherwise (e.g. in --watch or concurrent convert calls) a warning lands in another model's list and the
+// restores can leave console.warn pointing at a finished load
+let loading = Promise.resolve()
+
+function loadGltf(arrayBuffer, warnings) {
+  const load = loading.then(async () => {
+    const warn = console.warn
+    console.warn = (...args) => warnings.push(args.join(' '))
+    try {
+      return await new Promise((resolve, reject) => gltfLoader.parse(arrayBuffer, '', resolve, reject))
+    } catch (e) {
+      throw new Error(`Not a valid glTF: ${(e && e.message) || e}`)
+    } finally {
+      console.warn = warn
+    }
+  })
+  loading = load.catch(() => {})
+  return load
+}
+
+// The url useGLTF fetches the model from, relative to --root (or the model's folder)
+function getRelativeFilePath(file, root) {
+  const filePath = path.resolve(file)
+  const rootPath = root ? path.resolve(root) : path.dirname(file)
+  const relativePath = path.relative(rootPath, filePath) || ''
+  if (process.platform === 'win32') return relativePath.replace(/\\/g, '/')
+  return relativePath
+}
+
+function format(code, options) {
+  return prettier.format(code, {
+    semi: false,
+    printWidth: options.printwidth || 120,
+    singleQuote: true,
+    jsxBracketSameLine: true,
+    parser: options.types ? 'babel-ts' : 'babel',
+    plugins: [parserBabel],
+  })
+}
+
+// Reads a path, Buffer or ArrayBuffer, nothing is written. Models that aren't read from a path are
+// served as options.fileName (default: model.glb)
+async function convert(input, settings = {}) {
+  let options = { ...defaults, ...settings }
+  const warnings = []
+
+  let fileName, arrayBuffer
+  if (typeof input === 'string') {
+    if (!fs.existsSync(input)) throw new Error(input + ' does not exist.')
+    fileName = getRelativeFilePath(input, options.root)
+    if (fileName.startsWith('..'))
+      warnings.push(`${input} is outside of the root ${options.root}, useGLTF won't be able to load it from there`)
+    arrayBuffer = toArrayBuffer(fs.readFileSync(input))
+  } else if (Buffer.isBuffer(input) || input instanceof Uint8Array) {
+    fileName = options.fileName || 'model.glb'
+    arrayBuffer = toArrayBuffer(input)
+  } else if (input instanceof ArrayBuffer || Object.prototype.toString.call(input) === '[object ArrayBuffer]') {
+    fileName = options.fileName || 'model.glb'
+    arrayBuffer = input
+  } else {
+    throw new Error('Expected a path, Buffer or ArrayBuffer')
+  }
+
+  if (typeof options.stage === 'string') options = { ...options, stage: loadStage(options.stage) }
+  if (typeof options.preset === 'string') options = { ...options, preset: loadPreset(options.preset) }
+
+  // The ground model runs through the same parser, next to the main model
+  if (typeof options.ground === 'string') {
+    if (!fs.existsSync(options.ground)) throw new Error(options.ground + ' does not exist.')
+    const ground = await loadGltf(toArrayBuffer(fs.readFileSync(options.ground)), warnings)
+    options = { ...options, ground: { fileName: getRelativeFilePath(options.ground, options.root), gltf: ground } }
+  }
+
+  const gltf = await loadGltf(arrayBuffer, warnings)
+  // The report is taken first, parse prunes the scene while it prints it
+  const report = await createReport(fileName, gltf, options)
+  const result = generate(fileName, gltf, options)
+
+  return {
+    code: format(result.code, options),
+    types: format(result.types, { ...options, types: true }),
+    report,
+    warnings: [...warnings, ...result.warnings],
+    // Progress logs are spread out over time, the caller waits until the last one is out
+    ...(options.setLog && { timeout: options.timeout }),
+  }
+}
+
+module.exports = convert
@@ -0,0 +1,399 @@
+'use strict'
+const path = require('path')
+const { Camera, Document, Extension, NodeIO } = require('@gltf-transform/core')
+const {
+  LightsPunctual,
+  Light,
+  MaterialsClearcoat,
+  MaterialsIOR,
+  MaterialsPBRSpecularGlossiness,
+  MaterialsSheen,
+  MaterialsSpecular,
+  MaterialsUnlit,
+  MaterialsVariants,
+  MaterialsVolume,
+  MeshGPUInstancing,
+} = require('@gltf-transform/extensions')
+
+// Small generated models that cover what the sample models don't, written as .glb into the test folder
+const fixtures = {
+  Box: () => {
+    const doc = new Document()
+    const root = createBoxes(doc)
+    doc.createScene('Scene').addChild(root)
+    return doc
+  },
+  Scene: () => {
+    const doc = new Document()
+    const root = createBoxes(doc)
+    const scene = doc.createScene('Scene').addChild(root)
+    addLights(doc, scene)
+    addAnimations(doc, root.listChildren())
+    return doc
+  },
+  // A perspective shot that is animated by a clip and an orthographic one
+  Cameras: () => {
+    const doc = new Document()
+    const root = createBoxes(doc)
+    const perspective = doc
+      .createCamera('Closeup')
+      .setType(Camera.Type.PERSPECTIVE)
+      .setYFov(0.6)
+      .setZNear(0.1)
+      .setZFar(100)
+    const orthographic = doc
+      .createCamera('Top')
+      .setType(Camera.Type.ORTHOGRAPHIC)
+      .setXMag(5)
+      .setYMag(5)
+      .setZNear(0.1)
+      .setZFar(100)
+    const dolly = doc.createNode('Closeup').setCamera(perspective).setTranslation([0, 1, 5])
+    const top = doc
+      .createNode('Top')
+      .setCamera(orthographic)
+      .setTranslation([0, 10, 0])
+      .setRotation([-0.7071068, 0, 0, 0.7071068])
+    doc.createScene('Scene').addChild(root).addChild(dolly).addChild(top)
+    addAnimations(doc, [dolly])
+    return doc
+  },
+  // A mesh with two named blend shapes, they end up in extras.targetNames
+  Morph: () => {
+    const doc = new Document()
+    const buffer = doc.createBuffer()
+    const accessor = (array) => doc.createAccessor().setType('VEC3').setArray(new Float32Array(array)).setBuffer(buffer)
+    const primitive = doc
+      .createPrimitive()
+      .setAttribute('POSITION', accessor([0, 0, 0, 1, 0, 0, 0, 1, 0]))
+      .addTarget(doc.createPrimitiveTarget('Smile').setAttribute('POSITION', accessor([0, 0, 0, 0, 0, 0, 0, 0.5, 0])))
+      .addTarget(doc.createPrimitiveTarget('Blink').setAttribute('POSITION', accessor([0, 0, 0, 0.5, 0, 0, 0, 0, 0])))
+    const mesh = doc.createMesh('Face').addPrimitive(primitive).setWeights([0.25, 0])
+    doc.createScene('Scene').addChild(doc.createNode('Face').setMesh(mesh))
+    return doc
+  },
+  // One mesh per material class: standard, physical (clearcoat), basic (unlit) and specular-glossiness
+  Materials: () => {
+    const doc = new Document()
+    const root = createBoxes(doc)
+    const [standard] = doc.getRoot().listMaterials()
+    const clearcoat = doc.createExtension(MaterialsClearcoat)
+    const unlit = doc.createExtension(MaterialsUnlit)
+    const specularGlossiness = doc.createExtension(MaterialsPBRSpecularGlossiness)
+    const materials = [
+      standard.clone().setName('Physical').setExtension('KHR_materials_clearcoat', clearcoat.createClearcoat()),
+      standard.clone().setName('Unlit').setExtension('KHR_materials_unlit', unlit.createUnlit()),
+      standard
+        .clone()
+        .setName('SpecularGlossiness')
+        .setExtension('KHR_materials_pbrSpecularGlossiness', specularGlossiness.createPBRSpecularGlossiness()),
+    ]
+    const position = root.listChildren()[0].getMesh().listPrimitives()[0].getAttribute('POSITION')
+    materials.forEach((material, i) => {
+      const primitive = doc.createPrimitive().setAttribute('POSITION', position).setMaterial(material)
+      const mesh = doc.createMesh(material.getName()).addPrimitive(primitive)
+      root.addChild(
+        doc
+          .createNode(material.getName())
+          .setMesh(mesh)
+          .setTranslation([i * 2, 0, 0])
+      )
+    })
+    doc.createScene('Scene').addChild(root)
+    return doc
+  },
+  // The newer physical extensions all on one material: sheen, volume, ior and specular
+  Physical: () => {
+    const doc = new Document()
+    const root = createBoxes(doc)
+    const [material] = doc.getRoot().listMaterials()
+    material
+      .setExtension(
+        'KHR_materials_sheen',
+        doc.createExtension(MaterialsSheen).createSheen().setSheenColorFactor([1, 0, 0]).setSheenRoughnessFactor(0.4)
+      )
+      .setExtension(
+        'KHR_materials_volume',
+        doc
+          .createExtension(MaterialsVolume)
+          .createVolume()
+          .setThicknessFactor(2)
+          .setAttenuationDistance(3)
+          .setAttenuationColor([0, 1, 0])
+      )
+      .setExtension('KHR_materials_ior', doc.createExtension(MaterialsIOR).createIOR().setIOR(1.8))
+      .setExtension(
+        'KHR_materials_specular',
+        doc.createExtension(MaterialsSpecular).createSpecular().setSpecularFactor(0.5).setSpecularColorFactor([0, 0, 1])
+      )
+    doc.createScene('Scene').addChild(root)
+    return doc
+  },
+  // Values past the default slider ranges: a strong glow, a thick volume, and iridescence
+  Glow: () => {
+    const doc = new Document()
+    const root = createBoxes(doc)
+    const [material] = doc.getRoot().listMaterials()
+    material
+      .setEmissiveFactor([1, 0.5, 0])
+      .setExtension(
+        'KHR_materials_volume',
+        doc.createExtension(MaterialsVolume).createVolume().setThicknessFactor(40).setAttenuationDistance(300)
+      )
+    doc
+      .createExtension(createRawExtension('KHR_materials_emissive_strength'))
+      .setMaterial(material, { emissiveStrength: 40 })
+    doc
+      .createExtension(createRawExtension('KHR_materials_iridescence'))
+      .setMaterial(material, { iridescenceFactor: 1, iridescenceIor: 1.8 })
+    doc.createScene('Scene').addChild(root)
+    return doc
+  },
+  // A product in three colors, the red and blue materials only exist in the variant mappings
+  Variants: () => {
+    const doc = new Document()
+    const root = createBoxes(doc)
+    const [standard] = doc.getRoot().listMaterials()
+    const variants = doc.createExtension(MaterialsVariants)
+    const [red, blue] = [
+      ['Red', [1, 0, 0, 1]],
+      ['Blue', [0, 0, 1, 1]],
+    ].map(([name, color]) => ({
+      variant: variants.createVariant(name),
+      material: standard.clone().setName(name).setBaseColorFactor(color),
+    }))
+    const primitive = root.listChildren()[0].getMesh().listPrimitives()[0]
+    const mappings = variants.createMappingList()
+    for (const { variant, material } of [red, blue])
+      mappings.addMapping(variants.createMapping().setMaterial(material).addVariant(variant))
+    primitive.setExtension('KHR_materials_variants', mappings)
+    doc.createScene('Scene').addChild(root)
+    return doc
+  },
+  // A scatter of three boxes through EXT_mesh_gpu_instancing, next to a plain box that shares the mesh
+  Instancing: () => {
+    const doc = new Document()
+    const root = createBoxes(doc)
+    const buffer = doc.getRoot().listBuffers()[0]
+    const mesh = root.listChildren()[0].getMesh()
+    const accessor = (type, array) =>
+      doc.createAccessor().setType(type).setArray(new Float32Array(array)).setBuffer(buffer)
+    const batch = doc
+      .createExtension(MeshGPUInstancing)
+      .createInstancedMesh()
+      .setAttribute('TRANSLATION', accessor('VEC3', [0, 0, 0, 2, 0, 0, 4, 0, 1]))
+      .setAttribute('ROTATION', accessor('VEC4', [0, 0, 0, 1, 0, 0.7071068, 0, 0.7071068, 0, 0, 0, 1]))
+      .setAttribute('SCALE', accessor('VEC3', [1, 1, 1, 1, 1, 1, 2, 2, 2]))
+    root.addChild(doc.createNode('Scatter').setMesh(mesh).setExtension('EXT_mesh_gpu_instancing', batch))
+    doc.createScene('Scene').addChild(root)
+    return doc
+  },
+  // Three bolts with vertex data of their own (as many exporters write them) that is identical, and a nut
+  Copies: () => {
+    const doc = new Document()
+    const buffer = doc.createBuffer()
+    const material = doc.createMaterial('Steel').setMetallicFactor(1)
+    const part = (name, array) => {
+      const position = doc.createAccessor().setType('VEC3').setArray(new Float32Array(array)).setBuffer(buffer)
+      const indices = doc
+        .createAccessor()
+        .setType('SCALAR')
+        .setArray(new Uint16Array([0, 1, 2]))
+        .setBuffer(buffer)
+      const primitive = doc
+        .createPrimitive()
+        .setAttribute('POSITION', position)
+        .setIndices(indices)
+        .setMaterial(material)
+      return doc.createNode(name).setMesh(doc.createMesh(name).addPrimitive(primitive))
+    }
+    const bolt = [0, 0, 0, 1, 0, 0, 0, 3, 0]
+    doc
+      .createScene('Scene')
+      .addChild(part('Bolt', bolt).setTranslation([0, 0, 0]))
+      .addChild(part('Bolt2', bolt).setTranslation([2, 0, 0]))
+      .addChild(part('Bolt3', bolt).setTranslation([4, 0, 0]))
+      .addChild(part('Nut', [0, 0, 0, 1, 0, 0, 0, 1, 0]).setTranslation([6, 0, 0]))
+    return doc
+  },
+  // Names that collide: a two-part mesh on two nodes of the same name, two materials called Paint and an unnamed
+  // bone of a skin
+  Collisions: () => {
+    const doc = new Document()
+    const root = createBoxes(doc)
+    const [metal] = doc.getRoot().listMaterials()
+    const [box] = root.listChildren()
+    const position = box.getMesh().listPrimitives()[0].getAttribute('POSITION')
+    const paint = (color) => metal.clone().setName('Paint').setBaseColorFactor(color)
+    const wheel = doc
+      .createMesh('Wheel')
+      .addPrimitive(
+        doc
+          .createPrimitive()
+          .setAttribute('POSITION', position)
+          .setMaterial(paint([1, 0, 0, 1]))
+      )
+      .addPrimitive(
+        doc
+          .createPrimitive()
+          .setAttribute('POSITION', position)
+          .setMaterial(paint([0, 0, 1, 1]))
+      )
+    const bone = doc.createNode().setTranslation([0, 1, 0])
+    const joints = doc
+      .createAccessor()
+      .setType('VEC4')
+      .setArray(new Uint16Array([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]))
+      .setBuffer(position.getBuffer())
+    const weights = doc
+      .createAccessor()
+      .setType('VEC4')
+      .setArray(new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0]))
+      .setBuffer(position.getBuffer())
+    const skinned = doc
+      .createMesh('Skinned')
+      .addPrimitive(
+        doc
+          .createPrimitive()
+          .setAttribute('POSITION', position)
+          .setAttribute('JOINTS_0', joints)
+          .setAttribute('WEIGHTS_0', weights)
+          .setMaterial(metal)
+      )
+    root
+      .addChild(doc.createNode('Wheel').setMesh(wheel).setTranslation([-2, 0, 0]))
+      .addChild(doc.createNode('Wheel').setMesh(wheel).setTranslation([2, 0, 0]))
+      .addChild(bone)
+      .addChild(doc.createNode('Skinned').setMesh(skinned).setSkin(doc.createSkin().addJoint(bone)))
+    doc.createScene('Scene').addChild(root)
+    return doc
+  },
+  // Names from third-party models try to break out of the strings and keys they are written into
+  Names: () => {
+    const doc = new Document()
+    const root = createBoxes(doc)
+    const [box, box2] = root.listChildren()
+    box.setName('Box "1"\n${gltfjsxInjected}')
+    box2.setName('Back\\slash` + gltfjsxInjected + `')
+    const [material] = doc.getRoot().listMaterials()
+    material.setName("Metal' + gltfjsxInjected + '\u2028")
+    // Backslashes in otherwise plain names, they must never be written into an identifier
+    const slashed = doc
+      .createMesh('Slashed')
+      .addPrimitive(box.getMesh().listPrimitives()[0].clone().setMaterial(material.clone().setName('Back\\slash')))
+    root.addChild(doc.createNode('Back\\slash').setMesh(slashed))
+    root.addChild(doc.createNode('u\\u0041x').setMesh(slashed))
+    const scene = doc.createScene('Scene').addChild(root)
+    addLights(doc, scene)
+    scene.listChildren()[1].setName("Sun', gltfjsxInjected, '")
+    addAnimations(doc, [box, box2])
+    doc.getRoot().listAnimations()[0].setName('Wiggle" | typeof gltfjsxInjected | "</script>')
+    const variants = doc.createExtension(MaterialsVariants)
+    const variant = variants.createVariant('Red & "blue" ${gltfjsxInjected}\'')
+    const mappings = variants
+      .createMappingList()
+      .addMapping(
+        variants.createMapping().setMaterial(material.clone().setName('&amp; {gltfjsxInjected}')).addVariant(variant)
+      )
+    box.getMesh().listPrimitives()[0].setExtension('KHR_materials_variants', mappings)
+    return doc
+  },
+}
+
+function createBoxes(doc) {
+  const buffer = doc.getRoot().listBuffers()[0] || doc.createBuffer()
+  const position = doc
+    .createAccessor()
+    .setType('VEC3')
+    .setArray(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]))
+    .setBuffer(buffer)
+  const material = doc.createMaterial('Metal').setBaseColorFactor([1, 0.5, 0.25, 1]).setMetallicFactor(0.7)
+  const mesh = doc
+    .createMesh('Box')
+    .addPrimitive(doc.createPrimitive().setAttribute('POSITION', position).setMaterial(material))
+  return doc
+    .createNode('Root')
+    .setRotation([0, 0.7071068, 0, 0.7071068])
+    .addChild(doc.createNode('Box').setMesh(mesh).setTranslation([1, 2, 3]))
+    .addChild(doc.createNode('Box2').setMesh(mesh).setScale([2, 2, 2]))
+}
+
+function addLights(doc, scene) {
+  const lights = doc.createExtension(LightsPunctual)
+  const sun = lights.createLight('Sun').setType(Light.Type.DIRECTIONAL).setIntensity(3)
+  const lamp = lights.createLight('Lamp').setType(Light.Type.POINT).setIntensity(10).setRange(20)
+  const spot = lights.createLight('Spot').setType(Light.Type.SPOT).setOuterConeAngle(0.6).setInnerConeAngle(0.3)
+  scene.addChild(doc.createNode('SunNode').setExtension('KHR_lights_punctual', sun).setTranslation([0, 10, 0]))
+  scene.addChild(doc.createNode('LampNode').setExtension('KHR_lights_punctual', lamp).setTranslation([2, 3, 1]))
+  scene.addChild(doc.createNode('SpotNode').setExtension('KHR_lights_punctual', spot).setTranslation([-2, 4, 1]))
+}
+
+// Material extensions glTF-Transform doesn't know yet, their json is written as it is onto the materials
+function createRawExtension(name) {
+  return class extends Extension {
+    constructor(doc) {
+      super(doc)
+      this.extensionName = name
+      this.materials = new Map()
+    }
+
+    setMaterial(material, json) {
+      this.materials.set(material, json)
+      return this
+    }
+
+    read() {
+      return this
+    }
+
+    write(context) {
+      this.materials.forEach((json, material) => {
+        const def = context.jsonDoc.json.materials[context.materialIndexMap.get(material)]
+        def.extensions = { ...def.extensions, [name]: json }
+      })
+      return this
+    }
+  }
+}
+
+function addAnimations(doc, nodes) {
+  const buffer = doc.getRoot().listBuffers()[0]
+  nodes.forEach((node, i) => {
+    const input = doc
+      .createAccessor()
+      .setType('SCALAR')
+      .setArray(new Float32Array([0, 1]))
+      .setBuffer(buffer)
+    const output = doc
+      .createAccessor()
+      .setType('VEC3')
+      .setArray(new Float32Array([0, 0, 0, 0, 1, 0]))
+      .setBuffer(buffer)
+    const sampler = doc.createAnimationSampler().setInput(input).setOutput(output).setInterpolation('LINEAR')
+    const channel = doc.createAnimationChannel().setTargetNode(node).setTargetPath('translation').setSampler(sampler)
+    doc
+      .createAnimation(['Wiggle', 'Jump'][i % 2])
+      .addSampler(sampler)
+      .addChannel(channel)
+  })
+}
+
+module.exports = function writeFixtures(dir) {
+  const io = new NodeIO().registerExtensions([
+    LightsPunctual,
+    MaterialsClearcoat,
+    MaterialsIOR,
+    MaterialsPBRSpecularGlossiness,
+    MaterialsSheen,
+    MaterialsSpecular,
+    MaterialsUnlit,
+    MaterialsVariants,
+    MaterialsVolume,
+    MeshGPUInstancing,
+  ])
+  return Object.keys(fixtures).map((name) => {
+    const file = path.join(dir, name + '.glb')
+    io.write(file, fixtures[name]())
+    return file
+  })
+}
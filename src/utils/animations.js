@@ -0,0 +1,15 @@
+// The vendored loader reads structure only, its clips carry neither keyframes nor a duration. Length, channel
+// count and animated nodes are read from the json, clip i is json.animations[i]
+function readAnimation(json, index) {
+  const animation = (json.animations || [])[index] || {}
+  const channels = animation.channels || []
+  const samplers = animation.samplers || []
+  const inputs = samplers.map((sampler) => (json.accessors || [])[sampler.input] || {})
+  return {
+    duration: Math.max(0, ...inputs.map((accessor) => (accessor.max && accessor.max[0]) || 0)),
+    tracks: channels.length,
+    nodes: [...new Set(channels.map((channel) => channel.target.node).filter((node) => node !== undefined))],
+  }
+}
+
+module.exports = { readAnimation }
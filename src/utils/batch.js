@@ -0,0 +1,79 @@
+const fs = require('fs')
+const path = require('path')
+const fg = require('fast-glob')
+const picomatch = require('picomatch')
+
+const pattern = '**/*.{glb,gltf}'
+// Copies written by --transform next to their source, they would be converted along with it
+const ignore = ['**/*-transformed.glb']
+
+// Identifiers the generated file already declares or imports, a model can't be named like them
+const reserved = [
+  'React',
+  'THREE',
+  'GLTF',
+  'Canvas',
+  'Suspense',
+  'Leva',
+  'Cloud',
+  'Stars',
+  'OrbitControls',
+  'Merged',
+  'Instances',
+  'Instance',
+  'PerspectiveCamera',
+  'OrthographicCamera',
+  'PropContext',
+  'CombinedModel',
+  'Ground',
+]
+
+function isDirectory(input) {
+  return fs.existsSync(input) && fs.statSync(input).isDirectory()
+}
+
+function isBatch(inputs) {
+  return inputs.length > 1 || isDirectory(inputs[0]) || picomatch.scan(inputs[0]).isGlob
+}
+
+// Inputs can be files, directories or globs, dir is where a file sits relative to its input
+function expandInputs(inputs) {
+  const seen = new Set()
+  return inputs
+    .flatMap((input) => {
+      if (isDirectory(input))
+        return fg.sync(pattern, { cwd: input, ignore }).map((file) => ({ base: input, file: path.join(input, file) }))
+      if (picomatch.scan(input).isGlob)
+        return fg
+          .sync(input, { ignore })
+          .map((file) => ({ base: picomatch.scan(input).base, file: path.normalize(file) }))
+      return [{ base: path.dirname(input), file: input }]
+    })
+    .filter(({ file }) => !seen.has(path.resolve(file)) && seen.add(path.resolve(file)))
+    .map(({ base, file }) => ({ file, dir: path.relative(base, path.dirname(file)) }))
+}
+
+function getComponentName(file) {
+  const name = path
+    .basename(file, path.extname(file))
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('')
+  if (!/^[A-Z]/.test(name)) return 'Model' + name
+  return reserved.includes(name) ? name + 'Model' : name
+}
+
+// Every file gets a component name that is unique within the batch, it also names the output file
+function nameEntries(entries) {
+  const used = new Set()
+  return entries.map((entry) => {
+    const name = getComponentName(entry.file)
+    let unique = name
+    for (let i = 2; used.has(unique); i++) unique = name + i
+    used.add(unique)
+    return { ...entry, name: unique }
+  })
+}
+
+module.exports = { isBatch, expandInputs, nameEntries, getComponentName }
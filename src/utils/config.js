@@ -0,0 +1,70 @@
+const fs = require('fs')
+const path = require('path')
+const picomatch = require('picomatch')
+
+const names = ['gltfjsx.config.js', 'gltfjsx.config.json']
+
+// Options that hold paths, in a config file they are relative to the file's own folder
+const paths = ['out', 'root', 'stage', 'ground', 'preset', 'report', 'transformOut']
+
+const defaults = { precision: 2, printwidth: 120, mode: 'app' }
+
+function findConfig(dir = process.cwd()) {
+  let current = path.resolve(dir)
+  while (true) {
+    const file = names.map((name) => path.join(current, name)).find((file) => fs.existsSync(file))
+    if (file) return file
+    const parent = path.dirname(current)
+    if (parent === current) return null
+    current = parent
+  }
+}
+
+function loadConfig(file) {
+  let config
+  try {
+    if (path.extname(file) === '.json') config = JSON.parse(fs.readFileSync(file, 'utf8'))
+    else {
+      // Drop the cached module so that watch mode picks up edits
+      delete require.cache[path.resolve(file)]
+      config = require(path.resolve(file))
+    }
+  } catch (e) {
+    throw new Error(`${file} could not be loaded: ${e.message}`)
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config))
+    throw new Error(`${file} must export an object of options`)
+  return config
+}
+
+function resolvePaths(options, dir) {
+  const resolved = { ...options }
+  paths.forEach((key) => {
+    if (typeof resolved[key] === 'string' && resolved[key]) resolved[key] = path.resolve(dir, resolved[key])
+  })
+  return resolved
+}
+
+// defaults < config file < overrides whose glob matches the file (in order) < explicit flags
+function resolveOptions(file, flags = {}, { cwd = process.cwd() } = {}) {
+  const explicit = Object.keys(flags)
+    .filter((key) => flags[key] !== undefined)
+    .reduce((all, key) => ({ ...all, [key]: flags[key] }), {})
+
+  const configFile = findConfig(cwd)
+  if (!configFile) return { ...defaults, ...explicit }
+
+  const dir = path.dirname(configFile)
+  const { overrides = {}, ...config } = loadConfig(configFile)
+  const relative = path.relative(dir, path.resolve(cwd, file)).split(path.sep).join('/')
+  const layers = [
+    config,
+    ...Object.keys(overrides)
+      .filter((glob) => picomatch(glob, { dot: true })(relative))
+      .map((glob) => overrides[glob]),
+  ]
+  const configured = layers.reduce((all, layer) => ({ ...all, ...resolvePaths(layer, dir) }), defaults)
+  return { ...configured, ...explicit }
+}
+
+module.exports = { defaults, findConfig, loadConfig, resolveOptions }
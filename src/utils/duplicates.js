@@ -0,0 +1,168 @@
+const crypto = require('crypto')
+const { printAccess } = require('./escape')
+
+// Only the GLB body and data uris can be read, external buffers aren't handed to the loader
+function readBuffer(parser, index) {
+  const buffer = parser.json.buffers[index]
+  const binary = parser.extensions && parser.extensions.KHR_binary_glTF
+  if (buffer.uri === undefined && index === 0 && binary && binary.body) return Buffer.from(binary.body)
+  if (buffer.uri && buffer.uri.startsWith('data:')) return Buffer.from(buffer.uri.split(',')[1], 'base64')
+  return null
+}
+
+// Feeds the bytes of a buffer view (compressed ones as they are) into the hash, false if they can't be read
+function hashBufferView(hash, parser, index) {
+  const view = parser.json.bufferViews[index]
+  const source = (view.extensions && view.extensions.EXT_meshopt_compression) || view
+  const buffer = readBuffer(parser, source.buffer)
+  if (!buffer) return false
+  const offset = source.byteOffset || 0
+  hash.update(buffer.subarray(offset, offset + source.byteLength))
+  return true
+}
+
+// Only the accessor's own range is hashed, exporters often pack the data of many meshes into one view
+function hashAccessor(hash, parser, index) {
+  const { json } = parser
+  const accessor = json.accessors[index]
+  hash.update(JSON.stringify([accessor.type, accessor.componentType, accessor.count, accessor.normalized]))
+  if (accessor.sparse) return false
+  if (accessor.bufferView === undefined) return true
+  const view = json.bufferViews[accessor.bufferView]
+  if (view.extensions && view.extensions.EXT_meshopt_compression) {
+    hash.update(`${accessor.byteOffset || 0}:${view.byteStride || 0}`)
+    return hashBufferView(hash, parser, accessor.bufferView)
+  }
+  const buffer = readBuffer(parser, view.buffer)
+  if (!buffer) return false
+  const components = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 }[accessor.type]
+  const elementBytes = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 }[accessor.componentType]
+  const itemBytes = components * elementBytes
+  const stride = view.byteStride || itemBytes
+  const start = (view.byteOffset || 0) + (accessor.byteOffset || 0)
+  if (stride === itemBytes) hash.update(buffer.subarray(start, start + itemBytes * accessor.count))
+  else
+    for (let i = 0; i < accessor.count; i++)
+      hash.update(buffer.subarray(start + i * stride, start + i * stride + itemBytes))
+  return true
+}
+
+// Geometries with the same vertex data get the same key, even when every mesh has accessors of its own.
+// Everything the primitive is drawn from goes in: indices, all attributes (position, normal, uvs ...), morph
+// targets and the mode. Geometries that can't be read fall back to their uuid
+function getGeometryKey(parser, geometry) {
+  const association = parser && parser.associations.get(geometry)
+  if (!association || association.type !== 'primitives') return geometry.uuid
+  const { primitive } = association
+  const hash = crypto.createHash('sha1')
+  hash.update(`mode:${primitive.mode === undefined ? 4 : primitive.mode}`)
+  const draco = primitive.extensions && primitive.extensions.KHR_draco_mesh_compression
+  const accessors = [
+    ['indices', primitive.indices],
+    ...Object.keys(primitive.attributes)
+      .sort()
+      .map((name) => [name, primitive.attributes[name]]),
+    ...(primitive.targets || []).flatMap((target, i) =>
+      Object.keys(target)
+        .sort()
+        .map((name) => [`target${i}:${name}`, target[name]])
+    ),
+  ].filter(([, index]) => index !== undefined)
+  let readable = draco ? hashBufferView(hash, parser, draco.bufferView) : true
+  for (const [name, index] of accessors) {
+    hash.update(name)
+    readable = hashAccessor(hash, parser, index) && readable
+  }
+  return readable ? hash.digest('hex') : geometry.uuid
+}
+
+// useGLTF keys nodes and materials by name, objects that share a name (or have none) can't all be reached that
+// way. The first object of a name keeps it, the others are numbered: Box_2, Object3D_2. The generated
+// useUniqueKeys builds the same keys from the loaded scene, both have to stay in step
+function assignKeys(items) {
+  const keys = new Map()
+  const used = new Set()
+  const rest = items.filter((item) => {
+    if (!item.name || used.has(item.name)) return true
+    used.add(item.name)
+    keys.set(item, item.name)
+    return false
+  })
+  rest.forEach((item) => {
+    const name = item.name || item.type
+    let key = name
+    for (let i = 2; used.has(key); i++) key = `${name}_${i}`
+    used.add(key)
+    keys.set(item, key)
+  })
+  return keys
+}
+
+function getUniqueKeys(scene) {
+  const objects = []
+  scene.traverse((obj) => objects.push(obj))
+  const materials = objects
+    .map((obj) => obj.material)
+    .filter((material, i, all) => material && material.name && all.indexOf(material) === i)
+  return { nodes: assignKeys(objects), materials: assignKeys(materials) }
+}
+
+// Counts how often every material (by key) and geometry (by content) is used by the meshes of a scene.
+// Geometries that are used once are dropped, unless all of them are going to be instanced. keys maps every
+// geometry to its entry in geometries, names every node and named material to its key
+function findDuplicates(gltf, { instanceall } = {}) {
+  const duplicates = {
+    names: getUniqueKeys(gltf.scene),
+    materials: {},
+    geometries: {},
+    keys: new Map(),
+  }
+
+  function uniqueName(attempt, index = 0) {
+    const newAttempt = index > 0 ? attempt + index : attempt
+    if (Object.values(duplicates.geometries).find(({ name }) => name === newAttempt) === undefined) return newAttempt
+    else return uniqueName(attempt, index + 1)
+  }
+
+  gltf.scene.traverse((child) => {
+    if (child.isMesh) {
+      const material = duplicates.names.materials.get(child.material)
+      if (material !== undefined) {
+        if (!duplicates.materials[material]) {
+          duplicates.materials[material] = 1
+        } else {
+          duplicates.materials[material]++
+        }
+      }
+      // Meshes that are instanced by EXT_mesh_gpu_instancing already are left to drei <Instances>
+      if (child.geometry && !child.isInstancedMesh) {
+        if (!duplicates.keys.has(child.geometry))
+          duplicates.keys.set(child.geometry, getGeometryKey(gltf.parser, child.geometry))
+        const key = duplicates.keys.get(child.geometry)
+        if (!duplicates.geometries[key]) {
+          let name = (child.name || 'Part').replace(/[^a-zA-Z]/g, '')
+          name = name.charAt(0).toUpperCase() + name.slice(1)
+          duplicates.geometries[key] = {
+            count: 1,
+            name: uniqueName(name),
+            node: printAccess('nodes', duplicates.names.nodes.get(child)),
+          }
+        } else {
+          duplicates.geometries[key].count++
+        }
+      }
+    }
+  })
+
+  // Prune duplicate geometries
+  if (!instanceall) {
+    for (let key of Object.keys(duplicates.geometries)) {
+      const duplicate = duplicates.geometries[key]
+      if (duplicate.count === 1) delete duplicates.geometries[key]
+    }
+  }
+
+  return duplicates
+}
+
+module.exports = { findDuplicates }
@@ -0,0 +1,30 @@
+const isVarName = require('./isVarName')
+
+// Names come straight from the model (nodes, materials, clips, variants, lights) and can hold anything: quotes,
+// backslashes, line breaks or `${`. Every one of them is written into the generated code through here.
+
+// A JS/TS literal. JSON leaves U+2028 and U+2029 as they are, which older parsers read as line breaks
+function printValue(value) {
+  return JSON.stringify(value).replace(/[\u2028\u2029]/g, (char) => `\\u${char.charCodeAt(0).toString(16)}`)
+}
+
+// Names with a backslash are always quoted, in an identifier it would be read as an escape
+const isIdentifier = (name) => !String(name).includes('\\') && isVarName(name)
+
+// Key of an object literal or type: Cube, "Cube 1"
+function printKey(name) {
+  return isIdentifier(name) ? name : printValue(String(name))
+}
+
+// Property access: nodes.Cube, nodes["Cube 1"], nodes["Back\\slash"]
+function printAccess(object, name) {
+  return isIdentifier(name) ? `${object}.${name}` : `${object}[${printValue(String(name))}]`
+}
+
+// A JSX attribute value. JSX strings don't know escapes and decode entities, anything doubtful becomes an expression
+function printAttribute(value) {
+  const text = String(value)
+  return /^[^"&\\<>{}\u0000-\u001f\u2028\u2029]*$/.test(text) ? `"${text}"` : `{${printValue(text)}}`
+}
+
+module.exports = { printValue, printKey, printAccess, printAttribute }
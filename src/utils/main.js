@@ -1,9 +1,17 @@
 const parse = require('./parser')
 const transform = require('./transform')
+const { createReport } = require('./report')
 const GLTFLoader = require('./glftLoader')
 
+// Loaded on first use, the converter sets up a DOM (jsdom-global) and a global THREE
+function convert(input, options) {
+  return require('../convert')(input, options)
+}
+
 module.exports = {
+  convert,
   transform,
   parse,
+  createReport,
   GLTFStructureLoader: GLTFLoader,
 }
@@ -0,0 +1,112 @@
+// Leva inputs per material class, null means leva infers the input from the value (colors, booleans).
+// open: the property has no upper bound, max is only where the slider ends for small values
+const surface = {
+  opacity: { min: 0, max: 1, step: 0.01 },
+  transparent: null,
+  wireframe: null,
+}
+
+const emission = {
+  emissive: null,
+  emissiveIntensity: { min: 0, max: 10, step: 0.1, open: true },
+}
+
+const schemas = {
+  basic: {
+    type: 'THREE.MeshBasicMaterial',
+    inputs: { color: null, ...surface },
+  },
+  standard: {
+    type: 'THREE.MeshStandardMaterial',
+    inputs: {
+      color: null,
+      metalness: { min: 0, max: 1, step: 0.01 },
+      roughness: { min: 0, max: 1, step: 0.01 },
+      ...emission,
+      envMapIntensity: { min: 0, max: 5, step: 0.1 },
+      ...surface,
+    },
+  },
+  // KHR_materials_pbrSpecularGlossiness, the vendored loader removes metalness and roughness from these
+  specularGlossiness: {
+    type: 'THREE.MeshStandardMaterial & { specular: THREE.Color; glossiness: number }',
+    inputs: {
+      color: null,
+      specular: null,
+      glossiness: { min: 0, max: 1, step: 0.01 },
+      ...emission,
+      envMapIntensity: { min: 0, max: 5, step: 0.1 },
+      ...surface,
+    },
+  },
+  physical: {
+    type: 'THREE.MeshPhysicalMaterial',
+    inputs: {
+      color: null,
+      metalness: { min: 0, max: 1, step: 0.01 },
+      roughness: { min: 0, max: 1, step: 0.01 },
+      ...emission,
+      envMapIntensity: { min: 0, max: 5, step: 0.1 },
+      transmission: { min: 0, max: 1, step: 0.01 },
+      ior: { min: 1, max: 2.333, step: 0.01 },
+      thickness: { min: 0, max: 10, step: 0.1, open: true },
+      attenuationColor: null,
+      attenuationDistance: { min: 0, max: 100, step: 0.1, open: true },
+      specularIntensity: { min: 0, max: 1, step: 0.01 },
+      specularColor: null,
+      sheen: { min: 0, max: 1, step: 0.01 },
+      sheenColor: null,
+      sheenRoughness: { min: 0, max: 1, step: 0.01 },
+      clearcoat: { min: 0, max: 1, step: 0.01 },
+      clearcoatRoughness: { min: 0, max: 1, step: 0.01 },
+      iridescence: { min: 0, max: 1, step: 0.01 },
+      iridescenceIOR: { min: 1, max: 2.333, step: 0.01 },
+      ...surface,
+    },
+  },
+}
+
+// Used when the loaded material doesn't carry the property, three only added some of them later
+const fallbacks = {
+  ior: 1.5,
+  thickness: 0,
+  attenuationColor: '#ffffff',
+  specularIntensity: 1,
+  specularColor: '#ffffff',
+  sheen: 0,
+  sheenColor: '#000000',
+  sheenRoughness: 1,
+  transmission: 0,
+  clearcoat: 0,
+  clearcoatRoughness: 0,
+  iridescence: 0,
+  iridescenceIOR: 1.3,
+}
+
+function getMaterialSchema(material) {
+  if (material.isGLTFSpecularGlossinessMaterial) return schemas.specularGlossiness
+  if (material.isMeshPhysicalMaterial) return schemas.physical
+  if (material.isMeshStandardMaterial) return schemas.standard
+  if (material.isMeshBasicMaterial) return schemas.basic
+  return null
+}
+
+// Open inputs reach twice the material's value, like the light intensity does, so that it isn't clamped
+function getMaterialInput(schema, prop, value) {
+  const input = schema.inputs[prop]
+  if (!input) return input
+  const { open, ...settings } = input
+  if (open && typeof value === 'number') settings.max = Math.max(settings.max, Math.ceil(value * 2))
+  return settings
+}
+
+function getMaterialValue(material, prop) {
+  const value = material[prop]
+  if (value && value.isColor) return `#${value.getHexString()}`
+  // An infinite attenuation distance means no attenuation, a slider can't hold it
+  if (typeof value === 'number') return isFinite(value) ? value : undefined
+  if (typeof value === 'boolean') return value
+  return fallbacks[prop]
+}
+
+module.exports = { schemas, getMaterialSchema, getMaterialInput, getMaterialValue }
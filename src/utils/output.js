@@ -0,0 +1,37 @@
+const path = require('path')
+
+// Model.glb becomes Model.js/Model.tsx, in options.out when it is set.
+// Batch entries carry their component name and the folder they sit in relative to their input
+function getOutputPath(file, options = {}, { name, dir = '' } = {}) {
+  const ext = options.types ? '.tsx' : '.js'
+  if (name) return path.join(options.out || '', dir, name + ext)
+  const nameExt = file.match(/[-_\w]+[.][\w]+$/i)[0]
+  const base = nameExt.split('.').slice(0, -1).join('.')
+  return path.join(options.out || '', base.charAt(0).toUpperCase() + base.slice(1) + ext)
+}
+
+// --report may come without a path (or as true from a config file), --reportonly implies it
+function hasReport(options = {}) {
+  return options.reportonly === true || (options.report !== undefined && options.report !== false)
+}
+
+// A report without a path of its own goes next to the component, Model.js gets Model.report.json
+function getReportPath(output, report) {
+  if (typeof report === 'string' && report) return report
+  return output.replace(/\.(js|tsx)$/, '') + '.report.json'
+}
+
+// Transformed models go next to their source, --transform-out names either the .glb or the folder to put it in.
+// A batch would write all of its models into the same .glb, there it has to be a folder
+function getTransformPath(file, options = {}, { dir = '', batch = false } = {}) {
+  const name = path.parse(file).name + '-transformed.glb'
+  const out = options.transformOut
+  if (!out) return path.join(path.dirname(file), name)
+  if (path.extname(out).toLowerCase() === '.glb') {
+    if (batch) throw new Error(`--transform-out ${out} is a file, with more than one model it has to be a folder`)
+    return out
+  }
+  return path.join(out, dir, name)
+}
+
+module.exports = { getOutputPath, hasReport, getReportPath, getTransformPath }
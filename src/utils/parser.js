@@ -1,67 +1,15 @@
 const THREE = require('three')
-const isVarName = require('./isVarName')
+const { controls: stageSettings, createStage } = require('./stage')
+const { version: presetVersion, readPreset } = require('./preset')
+const { getMaterialSchema, getMaterialInput, getMaterialValue } = require('./materials')
+const { findDuplicates } = require('./duplicates')
+const { printValue, printKey, printAccess, printAttribute } = require('./escape')
+const { readAnimation } = require('./animations')
 
-function parse(fileName, gltf, options = {}) {
-  const url = (fileName.toLowerCase().startsWith('http') ? '' : '/') + fileName
-  const animations = gltf.animations
-  const hasAnimations = animations.length > 0
-
-  // Collect all objects
-  const objects = []
-  gltf.scene.traverse((child) => objects.push(child))
-
-  // Browse for duplicates
-  const duplicates = {
-    names: {},
-    materials: {},
-    geometries: {},
-  }
-
-  function uniqueName(attempt, index = 0) {
-    const newAttempt = index > 0 ? attempt + index : attempt
-    if (Object.values(duplicates.geometries).find(({ name }) => name === newAttempt) === undefined) return newAttempt
-    else return uniqueName(attempt, index + 1)
-  }
-
-  gltf.scene.traverse((child) => {
-    if (child.isMesh) {
-      if (child.material) {
-        if (!duplicates.materials[child.material.name]) {
-          duplicates.materials[child.material.name] = 1
-        } else {
-          duplicates.materials[child.material.name]++
-        }
-      }
-      if (child.geometry) {
-        if (!duplicates.geometries[child.geometry.uuid]) {
-          let name = (child.name || 'Part').replace(/[^a-zA-Z]/g, '')
-          name = name.charAt(0).toUpperCase() + name.slice(1)
-          duplicates.geometries[child.geometry.uuid] = {
-            count: 1,
-            name: uniqueName(name),
-            node: 'nodes' + sanitizeName(child.name),
-          }
-        } else {
-          duplicates.geometries[child.geometry.uuid].count++
-        }
-      }
-    }
-  })
-
-  // Prune duplicate geometries
-  if (!options.instanceall) {
-    for (let key of Object.keys(duplicates.geometries)) {
-      const duplicate = duplicates.geometries[key]
-      if (duplicate.count === 1) delete duplicates.geometries[key]
-    }
-  }
-
-  const hasInstances = (options.instance || options.instanceall) && Object.keys(duplicates.geometries).length > 0
-
-  function sanitizeName(name) {
-    return isVarName(name) ? `.${name}` : `['${name}']`
-  }
+// component: the bare model, controls: the model with its leva panels, app: the model on a stage with presets
+const modes = ['component', 'controls', 'app']
 
+function generate(fileName, gltf, options = {}) {
   const rNbr = (number) => {
     return parseFloat(number.toFixed(Math.round(options.precision || 2)))
   }
@@ -79,539 +27,839 @@ function parse(fileName, gltf, options = {}) {
     return rNbr(number)
   }
 
-  function printTypes(objects, animations) {
-    let meshes = objects.filter((o) => o.isMesh && o.__removed === undefined)
-    let bones = objects.filter((o) => o.isBone && !(o.parent && o.parent.isBone) && o.__removed === undefined)
-    let materials = [...new Set(objects.filter((o) => o.material && o.material.name).map((o) => o.material))]
+  const mode = options.mode || 'app'
+  if (!modes.includes(mode)) throw new Error(`Unknown mode "${mode}", expected one of ${modes.join(', ')}`)
+  const hasControls = mode !== 'component'
+  const isApp = mode === 'app'
+
+  // TypeScript-only syntax goes through here, without --types it is left out so the output is plain JavaScript
+  const ts = {
+    annotate: (type) => (options.types ? `: ${type}` : ''),
+    cast: (type) => (options.types ? ` as ${type}` : ''),
+    generic: (type) => (options.types ? `<${type}>` : ''),
+    nonNull: options.types ? '!' : '',
+    only: (code) => (options.types ? code : ''),
+  }
 
-    let animationTypes = ''
-    if (animations.length) {
-      animationTypes = `\n
-  type ActionName = ${animations.map((clip, i) => `"${clip.name}"`).join(' | ')};`
-    }
+  // Defaults of every generated control, they end up in PropContext as ctx_[key]
+  const contextValues = new Map()
 
-    return `\ntype GLTFResult = GLTF & {
-    nodes: {
-      ${meshes.map(({ name, type }) => (isVarName(name) ? name : `['${name}']`) + ': THREE.' + type).join(',')}
-      ${bones.map(({ name, type }) => (isVarName(name) ? name : `['${name}']`) + ': THREE.' + type).join(',')}
-    }
-    materials: {
-      ${materials.map(({ name, type }) => (isVarName(name) ? name : `['${name}']`) + ': THREE.' + type).join(',')}
-    }
-  }\n${animationTypes}`
+  function ctx(key, value) {
+    contextValues.set(key, value)
+    return `context.ctx_${key}`
+  }
+
+  function printType(value) {
+    if (Array.isArray(value)) return `[${value.map(printType).join(', ')}]`
+    if (value !== null && typeof value === 'object')
+      return `{ ${Object.keys(value)
+        .map((key) => `${key}: ${printType(value[key])}`)
+        .join(', ')} }`
+    return typeof value
+  }
+
+  // Backdrop elements of the CombinedModel, each one is a folder in the 'Background' panel
+  const stage = createStage(options.stage)
+  const hasShadowCatcher = !options.ground && !!stage.ground
+  const stageFolders = [
+    stage.background && { name: 'General', suffix: 'Background', type: 'background', values: stage.background },
+    ...stage.lights.map((light, i) => {
+      const name = `${light.type.charAt(0).toUpperCase() + light.type.slice(1)}Light${i + 1}`
+      return { name, suffix: name, type: light.type, values: light }
+    }),
+    ...stage.clouds.map((cloud, i) => ({
+      name: `Cloud${i + 1}`,
+      suffix: `Cloud${i + 1}`,
+      type: 'cloud',
+      values: cloud,
+    })),
+    stage.stars && { name: 'Stars', suffix: 'Stars', type: 'stars', values: stage.stars },
+  ]
+    .filter(Boolean)
+    .map((folder) => ({
+      ...folder,
+      entries: Object.keys(stageSettings[folder.type]).map((prop) => ({
+        prop,
+        key: prop + folder.suffix,
+        settings: stageSettings[folder.type][prop],
+        value: folder.values[prop],
+      })),
+    }))
+
+  function printStageControls() {
+    if (!stageFolders.length) return ''
+    const entries = stageFolders.flatMap((folder) => folder.entries)
+    return `
+    const { ${entries.map(({ key }) => key).join(', ')} } = useControls('Background', {
+      ${stageFolders
+        .map(
+          ({ name, entries }) => `${name}: folder({
+          ${entries
+            .map(({ key, value, settings }) =>
+              settings
+                ? `${key}: { value: ${ctx(key, value)}, min: ${settings.min}, max: ${settings.max}, step: ${
+                    settings.step
+                  } },`
+                : `${key}: ${ctx(key, value)},`
+            )
+            .join('\n')}
+        }),`
+        )
+        .join('\n')}
+    });
+
+    useEffect(() => {
+      ${entries.map(({ key }) => `context.ctx_${key} = ${key};`).join('\n')}
+    })`
   }
 
-  function print(objects, gltf, obj, parent) {
+  function printStageProps(entries, exclude = []) {
+    return entries
+      .filter(({ prop }) => !exclude.includes(prop))
+      .map(({ prop, key }) => `${prop}={${key}} `)
+      .join('')
+  }
+
+  function printBackground() {
+    const { entries } = stageFolders.find(({ type }) => type === 'background')
+    const [gradient, color1, color2] = entries.map(({ key }) => key)
+    return `${gradient}
+      ? \`linear-gradient(to left, \${rgbToHex(${color1}.r, ${color1}.g, ${color1}.b)}, \${rgbToHex(${color2}.r, ${color2}.g, ${color2}.b)})\`
+      : rgbToHex(${color1}.r, ${color1}.g, ${color1}.b)`
+  }
+
+  function printStageLights() {
+    return stageFolders
+      .filter(({ type }) => type === 'spot' || type === 'point')
+      .map(
+        ({ type, entries }) =>
+          `<${type}Light ${hasShadowCatcher && type === 'spot' ? 'castShadow ' : ''}${printStageProps(entries)}/>`
+      )
+      .join('\n')
+  }
+
+  function printStageElements() {
     let result = ''
-    let children = ''
-    let type = obj.type.charAt(0).toLowerCase() + obj.type.slice(1)
-    let node = 'nodes' + sanitizeName(obj.name)
-    let isCamera = type === 'perspectiveCamera' || type === 'orthographicCamera'
-    let isInstanced =
-      (options.instance || options.instanceall) &&
-      obj.geometry &&
-      duplicates.geometries[obj.geometry.uuid] &&
-      duplicates.geometries[obj.geometry.uuid].count > (options.instanceall ? 0 : 1)
-    let hasAnimations = gltf.animations && gltf.animations.length > 0
-
-    if (options.setLog)
-      setTimeout(
-        () => options.setLog((state) => [...state, obj.name]),
-        (options.timeout = options.timeout + options.delay)
+    if (stage.ambient) result += `<ambientLight intensity={${stage.ambient.intensity}} />\n`
+    stageFolders.forEach(({ type, entries }) => {
+      if (type === 'stars') result += `<Stars ${printStageProps(entries)}/>\n`
+      if (type === 'cloud')
+        result += `<group position={${entries.find(({ prop }) => prop === 'position').key}}>
+          <Cloud ${printStageProps(entries, ['position'])}/>
+        </group>\n`
+    })
+    if (stage.orbitControls)
+      result += `<OrbitControls makeDefault ${Object.keys(stage.orbitControls)
+        .map((prop) => `${prop}={${printValue(stage.orbitControls[prop])}} `)
+        .join('')}/>\n`
+    return result
+  }
+
+  function printModel(fileName, gltf, { name, prefix = '' }) {
+    // Names of generated types and control keys are prefixed for everything but the main model
+    const typePrefix = prefix ? name : ''
+    const key = (name) => (prefix ? `${prefix}_${name}` : name)
+
+    const url = (fileName.toLowerCase().startsWith('http') ? '' : '/') + fileName
+    // useGLTF(url, useDraco, useMeshopt), meshopt compressed models need the decoder switched on
+    const extensionsUsed = (gltf.parser && gltf.parser.json.extensionsUsed) || []
+    const useDraco = options.draco ? printValue(options.draco) : ''
+    const loaderArgs = extensionsUsed.includes('EXT_meshopt_compression')
+      ? `, ${useDraco || 'true'}, true`
+      : useDraco && `, ${useDraco}`
+    const animations = gltf.animations
+    const hasAnimations = animations.length > 0
+
+    // Collect all objects
+    const objects = []
+    gltf.scene.traverse((child) => objects.push(child))
+
+    // Browse for duplicates
+    const duplicates = findDuplicates(gltf, options)
+
+    const hasInstances = (options.instance || options.instanceall) && Object.keys(duplicates.geometries).length > 0
+
+    // Nodes and materials are addressed by their unique key, it only differs from the name when names collide.
+    // Then useGLTF's own nodes and materials can't be trusted and useUniqueKeys replaces them
+    const nodeKey = (obj) => duplicates.names.nodes.get(obj)
+    const materialKey = (material) => duplicates.names.materials.get(material)
+    const hasAliases = [...duplicates.names.nodes].some(
+      ([obj, key]) => key !== obj.name && (obj.name || obj.isMesh || obj.isBone)
+    )
+    // A numbered material can't be relied on at runtime. Some are clones the loader makes (the vendored one copies
+    // materials for skinned meshes, current ones don't), its meshes keep reading their own .material
+    const isMaterialAlias = (material) => materialKey(material) !== material.name
+    const listMaterials = (objects) => [
+      ...new Set(
+        objects.filter((o) => o.material && o.material.name && !isMaterialAlias(o.material)).map((o) => o.material)
+      ),
+    ]
+    const loadGLTF = (code) => (hasAliases ? `useUniqueKeys(${code})` : code)
+
+    // KHR_materials_variants, the loader gives every mapped mesh the material index per variant name
+    const variantNames = (gltf.userData && gltf.userData.variants) || []
+    const variantMeshes = objects.filter((o) => o.isMesh && o.userData.variantMaterials)
+    const hasVariants = variantNames.length > 0 && variantMeshes.length > 0
+
+    // Authored cameras get a ref, the 'Cameras' panel moves the default camera onto the chosen one
+    const cameras = objects.filter((o) => o.isCamera)
+    const cameraLabels = cameras
+      .reduce(
+        (labels, camera, i) => {
+          const label = camera.name || `Camera ${i}`
+          return [...labels, labels.includes(label) ? `${label} (${i})` : label]
+        },
+        ['Free']
       )
+      .slice(1)
 
-    // Turn object3d's into groups, it should be faster according to the threejs docs
-    if (type === 'object3D') type = 'group'
-    if (type === 'perspectiveCamera') type = 'PerspectiveCamera'
-    if (type === 'orthographicCamera') type = 'OrthographicCamera'
+    function printCameraControls() {
+      if (!cameras.length) return ''
+      const [camera, transition] = ['camera', 'cameraTransition'].map(key)
+      const shots = key('shots')
+      const freeView = key('freeView')
+      return `
+      const { ${camera}, ${transition} } = useControls(${printValue(prefix ? `${name} Cameras` : 'Cameras')}, {
+        ${camera}: { value: ${ctx(camera, 'Free')}, options: ${printValue(['Free', ...cameraLabels])} },
+        ${transition}: { value: ${ctx(transition, 1)}, min: 0, max: 5, step: 0.1 },
+      });
 
-    // Bail out on lights and bones
-    if (type === 'bone') {
-      return `<primitive object={${node}} />${!parent ? '' : '\n'}`
+      ${cameras.map((c, i) => `const ${key(`shot${i}`)} = useRef${ts.generic(`THREE.${c.type}`)}(null);`).join('\n')}
+      const ${shots}${ts.annotate('Record<string, React.RefObject<THREE.Camera>>')} = {
+        ${cameras.map((c, i) => `${printValue(cameraLabels[i])}: ${key(`shot${i}`)},`).join('\n')}
+      };
+      // Where the free camera was when a shot was picked, it flies back there before orbit controls take over
+      const ${freeView} = useRef${ts.generic(
+        '{ position: THREE.Vector3; quaternion: THREE.Quaternion; fov: number } | null'
+      )}(null);
+
+      useFrame((state, delta) => {
+        const shot = ${shots}[${camera}] ? ${shots}[${camera}].current : null;
+        const view = state.camera${ts.cast('THREE.PerspectiveCamera')};
+        if (shot && !${freeView}.current)
+          ${freeView}.current = { position: view.position.clone(), quaternion: view.quaternion.clone(), fov: view.fov };
+        if (state.controls) (state.controls${ts.cast('any')}).enabled = !shot && !${freeView}.current;
+        if (!shot && !${freeView}.current) return;
+
+        // Shots are read from their world transform every frame, so animated cameras are followed
+        const target = shot
+          ? {
+              position: shot.getWorldPosition(new THREE.Vector3()),
+              quaternion: shot.getWorldQuaternion(new THREE.Quaternion()),
+              fov: (shot${ts.cast('THREE.PerspectiveCamera')}).isPerspectiveCamera ? (shot${ts.cast(
+        'THREE.PerspectiveCamera'
+      )}).fov : view.fov,
+            }
+          : ${freeView}.current${ts.nonNull};
+        const alpha = ${transition} > 0 ? 1 - Math.exp((-4 * delta) / ${transition}) : 1;
+        view.position.lerp(target.position, alpha);
+        view.quaternion.slerp(target.quaternion, alpha);
+        if (view.isPerspectiveCamera) {
+          view.fov = THREE.MathUtils.lerp(view.fov, target.fov, alpha);
+          view.updateProjectionMatrix();
+        }
+        if (!shot && view.position.distanceTo(target.position) < 0.001) ${freeView}.current = null;
+      });
+      `
     }
 
-    // Collect children
-    if (obj.children) obj.children.forEach((child) => (children += print(objects, gltf, child, obj)))
+    // Meshes with blend shapes get a ref, their influences are driven by the 'Morph targets' panel
+    const morphMeshes = objects.filter(
+      (o) => o.isMesh && o.morphTargetDictionary && Object.keys(o.morphTargetDictionary).length
+    )
 
-    if (isInstanced) {
-      result = `<instances.${duplicates.geometries[obj.geometry.uuid].name} `
-    } else {
-      // Form the object in JSX syntax
-      result = `<${type} `
+    function getMorphControls(mesh) {
+      const i = morphMeshes.indexOf(mesh)
+      return Object.keys(mesh.morphTargetDictionary).map((label) => {
+        const index = mesh.morphTargetDictionary[label]
+        return {
+          label,
+          index,
+          key: key(`morph${i}_${index}`),
+          value: rNbr((mesh.morphTargetInfluences && mesh.morphTargetInfluences[index]) || 0),
+        }
+      })
     }
 
-    // Include names when output is uncompressed or morphTargetDictionaries are present
-    if (
-      obj.name.length &&
-      (options.keepnames ||
-        obj.morphTargetDictionary ||
-        (hasAnimations &&
-          gltf.animations.find(
-            (clip) => clip.name.includes(obj.name) || (clip.targetNames && clip.targetNames.includes(obj.name))
-          )))
-    )
-      result += `name="${obj.name}" `
+    function printMorphControls() {
+      if (!morphMeshes.length) return ''
+      const refs = morphMeshes.map((mesh, i) => ({ ref: key(`morphMesh${i}`), controls: getMorphControls(mesh) }))
+      return `
+      ${refs.map(({ ref }) => `const ${ref} = useRef${ts.generic('THREE.Mesh')}(null);`).join('\n')}
+
+      const { ${refs.flatMap(({ controls }) => controls.map(({ key }) => key)).join(', ')} } = useControls(${printValue(
+        prefix ? `${name} Morph targets` : 'Morph targets'
+      )}, {
+        ${morphMeshes
+          .map(
+            (mesh, i) => `${printValue(mesh.name || `Mesh ${i}`)}: folder({
+          ${refs[i].controls
+            .map(
+              ({ key, label, value }) =>
+                `${key}: { value: ${ctx(key, value)}, min: 0, max: 1, step: 0.01, label: ${printValue(label)} },`
+            )
+            .join('\n')}
+        }),`
+          )
+          .join('\n')}
+      });
 
-    const oldResult = result
+      ${refs
+        .map(
+          ({ ref, controls }) => `useEffect(() => {
+        const influences = ${ref}.current && ${ref}.current.morphTargetInfluences;
+        if (!influences) return;
+        ${controls.map(({ key, index }) => `influences[${index}] = ${key};`).join('\n')}
+      }, [${controls.map(({ key }) => key).join(', ')}]);`
+        )
+        .join('\n')}
+      `
+    }
 
-    // Handle cameras
-    if (isCamera) {
-      result += `makeDefault={false} `
-      if (obj.zoom !== 1) result += `zoom={${rNbr(obj.zoom)}} `
-      if (obj.far !== 2000) result += `far={${rNbr(obj.far)}} `
-      if (obj.near !== 0.1) result += `near={${rNbr(obj.near)}} `
+    // KHR_lights_punctual lights, each one gets its own leva panel
+    const lights = objects.filter((o) => o.isLight)
+
+    function getLightControls(light) {
+      const prefix = key(`light${lights.indexOf(light)}`)
+      const controls = [
+        { prop: 'intensity', value: rNbr(light.intensity), min: 0, max: Math.max(10, Math.ceil(light.intensity * 2)) },
+        { prop: 'color', value: `#${light.color.getHexString()}` },
+        { prop: 'position', value: light.position.toArray().map(rNbr) },
+      ]
+      if (light.isPointLight || light.isSpotLight) {
+        controls.push({ prop: 'distance', value: rNbr(light.distance), min: 0 })
+        controls.push({ prop: 'decay', value: rNbr(light.decay), min: 0, max: 2 })
+      }
+      if (light.isSpotLight) {
+        controls.push({ prop: 'angle', value: rNbr(light.angle), min: 0, max: rNbr(Math.PI / 2), step: 0.01 })
+        controls.push({ prop: 'penumbra', value: rNbr(light.penumbra), min: 0, max: 1, step: 0.01 })
+      }
+      return controls.map((control) => ({
+        ...control,
+        key: prefix + control.prop.charAt(0).toUpperCase() + control.prop.slice(1),
+      }))
     }
-    if (type === 'PerspectiveCamera') {
-      if (obj.fov !== 50) result += `fov={${rNbr(obj.fov)}} `
+
+    function printLightControls() {
+      return lights
+        .map((light, i) => {
+          const controls = getLightControls(light)
+          return `
+          const { ${controls.map(({ key }) => key).join(', ')} } = useControls(${printValue(
+            light.name || `Light ${i}`
+          )}, {
+            ${controls
+              .map(({ key, value, min, max, step = 0.1 }) =>
+                typeof value === 'number'
+                  ? `${key}: { value: ${ctx(key, value)}, min: ${min}, ${
+                      max !== undefined ? `max: ${max}, ` : ''
+                    }step: ${step} },`
+                  : `${key}: ${ctx(key, value)},`
+              )
+              .join('\n')}
+          });\n`
+        })
+        .join('')
     }
 
-    if (!isInstanced) {
-      // Shadows
-      if (type === 'mesh' && options.shadows) result += `castShadow receiveShadow `
+    function printTypes(objects, animations, exported = false) {
+      const declare = exported ? 'export ' : ''
+      let meshes = objects.filter((o) => o.isMesh && o.__removed === undefined)
+      let bones = objects.filter((o) => o.isBone && !(o.parent && o.parent.isBone) && o.__removed === undefined)
+      let materials = listMaterials(objects)
+
+      let animationTypes = ''
+      if (animations.length) {
+        animationTypes = `\n
+    ${declare}type ${typePrefix}ActionName = ${animations.map((clip) => printValue(clip.name)).join(' | ')};
+    ${declare}interface ${typePrefix}GLTFAction extends THREE.AnimationClip { name: ${typePrefix}ActionName }`
+      }
+
+      const variantTypes = hasVariants
+        ? `\n${declare}type ${typePrefix}Variant = ${variantNames.map(printValue).join(' | ')};`
+        : ''
+
+      return `${variantTypes}\n${declare}type ${typePrefix}GLTFResult = GLTF & {
+      nodes: {
+        ${meshes
+          .map((obj) => printKey(nodeKey(obj)) + ': THREE.' + (obj.isInstancedMesh ? 'InstancedMesh' : obj.type))
+          .join(',')}
+        ${bones.map((obj) => printKey(nodeKey(obj)) + ': THREE.' + obj.type).join(',')}
+      }
+      materials: {
+        ${materials.map((material) => printKey(materialKey(material)) + ': THREE.' + material.type).join(',')}
+      }${animations.length ? `\nanimations: ${typePrefix}GLTFAction[]` : ''}
+    }\n${animationTypes}`
+    }
+
+    // Position, rotation and scale props, values that don't change anything are left out
+    function printTransform(position, rotation, scale) {
+      let result = ''
+      if (position && rNbr(position.length()))
+        result += `position={[${rNbr(position.x)}, ${rNbr(position.y)}, ${rNbr(position.z)},]} `
+      if (rotation && rNbr(rotation.toVector3().length()))
+        result += `rotation={[${rDeg(rotation.x)}, ${rDeg(rotation.y)}, ${rDeg(rotation.z)},]} `
+      if (scale && !(rNbr(scale.x) === 1 && rNbr(scale.y) === 1 && rNbr(scale.z) === 1)) {
+        if (rNbr(scale.x) === rNbr(scale.y) && rNbr(scale.x) === rNbr(scale.z)) result += `scale={${rNbr(scale.x)}} `
+        else result += `scale={[${rNbr(scale.x)}, ${rNbr(scale.y)}, ${rNbr(scale.z)},]} `
+      }
+      return result
+    }
+
+    // EXT_mesh_gpu_instancing nodes become drei <Instances>, with an <Instance> per baked matrix
+    function printInstances(obj) {
+      const matrix = new THREE.Matrix4()
+      const position = new THREE.Vector3()
+      const quaternion = new THREE.Quaternion()
+      const scale = new THREE.Vector3()
+      return [...new Array(obj.count)]
+        .map((_, i) => {
+          obj.getMatrixAt(i, matrix)
+          matrix.decompose(position, quaternion, scale)
+          const rotation = new THREE.Euler().setFromQuaternion(quaternion)
+          return `<Instance ${printTransform(position, rotation, scale)}/>\n`
+        })
+        .join('')
+    }
+
+    function print(objects, gltf, obj, parent) {
+      let result = ''
+      let children = ''
+      let type = obj.type.charAt(0).toLowerCase() + obj.type.slice(1)
+      let node = printAccess('nodes', nodeKey(obj))
+      let isCamera = type === 'perspectiveCamera' || type === 'orthographicCamera'
+      let isInstanced =
+        (options.instance || options.instanceall) &&
+        !obj.isInstancedMesh &&
+        obj.geometry &&
+        duplicates.geometries[duplicates.keys.get(obj.geometry)] &&
+        duplicates.geometries[duplicates.keys.get(obj.geometry)].count > (options.instanceall ? 0 : 1)
+      let hasAnimations = gltf.animations && gltf.animations.length > 0
+
+      if (options.setLog)
+        setTimeout(
+          () => options.setLog((state) => [...state, obj.name]),
+          (options.timeout = options.timeout + options.delay)
+        )
+
+      // Turn object3d's into groups, it should be faster according to the threejs docs
+      if (type === 'object3D') type = 'group'
+      if (type === 'perspectiveCamera') type = 'PerspectiveCamera'
+      if (type === 'orthographicCamera') type = 'OrthographicCamera'
+      if (obj.isInstancedMesh) type = 'Instances'
+
+      // Bail out on lights and bones
+      if (type === 'bone') {
+        return `<primitive object={${node}} />${!parent ? '' : '\n'}`
+      }
+
+      // Collect children
+      if (obj.children) obj.children.forEach((child) => (children += print(objects, gltf, child, obj)))
+      if (obj.isInstancedMesh) children += printInstances(obj)
+
+      if (isInstanced) {
+        result = `<instances.${duplicates.geometries[duplicates.keys.get(obj.geometry)].name} `
+      } else {
+        // Form the object in JSX syntax
+        result = `<${type} `
+      }
+
+      // Include names when output is uncompressed or morphTargetDictionaries are present
+      if (
+        obj.name.length &&
+        (options.keepnames ||
+          obj.morphTargetDictionary ||
+          (hasAnimations &&
+            gltf.animations.find(
+              (clip) => clip.name.includes(obj.name) || (clip.targetNames && clip.targetNames.includes(obj.name))
+            )))
+      )
+        result += `name=${printAttribute(obj.name)} `
+
+      const oldResult = result
+
+      // Handle cameras
+      if (isCamera) {
+        result += `makeDefault={false} `
+        if (hasControls) result += `ref={${key(`shot${cameras.indexOf(obj)}`)}} `
+        if (obj.zoom !== 1) result += `zoom={${rNbr(obj.zoom)}} `
+        if (obj.far !== 2000) result += `far={${rNbr(obj.far)}} `
+        if (obj.near !== 0.1) result += `near={${rNbr(obj.near)}} `
+      }
+      if (type === 'PerspectiveCamera') {
+        if (obj.fov !== 50) result += `fov={${rNbr(obj.fov)}} `
+      }
+
+      if (!isInstanced) {
+        // Shadows
+        if (type === 'mesh' && options.shadows) result += `castShadow receiveShadow `
+
+        // Write out geometry first
+        if (obj.geometry) {
+          result += `geometry={${node}.geometry} `
+        }
+
+        // Write out materials, a variant's material replaces the default one while it is selected
+        if (obj.material) {
+          const variant =
+            hasVariants && variantMeshes.includes(obj) ? `${printAccess('variantMaterials', nodeKey(obj))} || ` : ''
+          const material = materialKey(obj.material)
+          if (material !== undefined && !isMaterialAlias(obj.material) && duplicates.materials[material] === 1)
+            result += `material={${variant}${printAccess('materials', material)}} `
+          else result += `material={${variant}${node}.material} `
+        }
 
-      // Write out geometry first
-      if (obj.geometry) {
-        result += `geometry={${node}.geometry} `
+        if (obj.isInstancedMesh) result += `limit={${obj.count}} `
+        if (obj.skeleton) result += `skeleton={${node}.skeleton} `
+        if (obj.visible === false) result += `visible={false} `
+        if (obj.castShadow === true) result += `castShadow `
+        if (obj.receiveShadow === true) result += `receiveShadow `
+        if (obj.morphTargetDictionary) result += `morphTargetDictionary={${node}.morphTargetDictionary} `
+        if (obj.morphTargetInfluences) result += `morphTargetInfluences={${node}.morphTargetInfluences} `
+        if (hasControls && morphMeshes.includes(obj)) result += `ref={${key(`morphMesh${morphMeshes.indexOf(obj)}`)}} `
+        // Lights are driven by their leva panel
+        if (obj.isLight) {
+          result += getLightControls(obj)
+            .map(({ prop, key, value }) => `${prop}={${hasControls ? key : printValue(value)}} `)
+            .join('')
+        }
+        if (obj.up && obj.up.isVector3 && !obj.up.equals(new THREE.Vector3(0, 1, 0)))
+          result += `up={[${rNbr(obj.up.x)}, ${rNbr(obj.up.y)}, ${rNbr(obj.up.z)},]} `
       }
 
-      // Write out materials
-      if (obj.material) {
-        if (obj.material.name && duplicates.materials[obj.material.name] === 1)
-          result += `material={materials${sanitizeName(obj.material.name)}} `
-        else result += `material={${node}.material} `
+      if (!obj.isLight && obj.color && obj.color.getHexString() !== 'ffffff')
+        result += `color="#${obj.color.getHexString()}" `
+      // With controls the scene root's transform lives on the wrapping group, driven by the model panel
+      if (!(hasControls && obj === gltf.scene))
+        result += printTransform(obj.isLight ? null : obj.position, obj.rotation, obj.scale)
+      if (options.meta && obj.userData && Object.keys(obj.userData).length)
+        result += `userData={${printValue(obj.userData)}} `
+
+      // Remove empty groups
+      if (
+        !options.keepgroups &&
+        (type === 'group' || type === 'scene') &&
+        (result === oldResult || obj.children.length === 0)
+      ) {
+        obj.__removed = true
+        return children
       }
 
-      if (obj.skeleton) result += `skeleton={${node}.skeleton} `
-      if (obj.visible === false) result += `visible={false} `
-      if (obj.castShadow === true) result += `castShadow `
-      if (obj.receiveShadow === true) result += `receiveShadow `
-      if (obj.morphTargetDictionary) result += `morphTargetDictionary={${node}.morphTargetDictionary} `
-      if (obj.morphTargetInfluences) result += `morphTargetInfluences={${node}.morphTargetInfluences} `
-      if (obj.intensity && rNbr(obj.intensity)) result += `intensity={${rNbr(obj.intensity)}} `
-      //if (obj.power && obj.power !== 4 * Math.PI) result += `power={${rNbr(obj.power)}} `
-      if (obj.angle && obj.angle !== Math.PI / 3) result += `angle={${rDeg(obj.angle)}} `
-      if (obj.penumbra && rNbr(obj.penumbra) !== 0) result += `penumbra={${rNbr(obj.penumbra)}} `
-      if (obj.decay && rNbr(obj.decay) !== 1) result += `decay={${rNbr(obj.decay)}} `
-      if (obj.distance && rNbr(obj.distance) !== 0) result += `distance={${rNbr(obj.distance)}} `
-      if (obj.up && obj.up.isVector3 && !obj.up.equals(new THREE.Vector3(0, 1, 0)))
-        result += `up={[${rNbr(obj.up.x)}, ${rNbr(obj.up.y)}, ${rNbr(obj.up.z)},]} `
+      // Close tag
+      result += `${children.length ? '>' : '/>'}\n`
+
+      // Add children and return
+      if (children.length) result += children + `</${type}>${!parent ? '' : '\n'}`
+
+      return result
     }
 
-    const hasPosition = obj.position && obj.position.isVector3 && rNbr(obj.position.length())
-    const hasRotation = obj.rotation && obj.rotation.isEuler && rNbr(obj.rotation.toVector3().length())
-    const hasScale =
-      obj.scale &&
-      obj.scale.isVector3 &&
-      !(rNbr(obj.scale.x) === 1 && rNbr(obj.scale.y) === 1 && rNbr(obj.scale.z) === 1)
-
-    if (obj.color && obj.color.getHexString() !== 'ffffff') result += `color="#${obj.color.getHexString()}" `
-    if (hasPosition) result += `position={model_position} `
-    if (hasRotation) result += `rotation={model_rotation} `
-    if (hasScale) {
-      result += `scale={model_scale}`
+    // Every material class gets its own set of inputs, see ./materials
+    function getMaterialControls(mat, i) {
+      const schema = getMaterialSchema(mat)
+      if (!schema) return []
+      return Object.keys(schema.inputs)
+        .map((prop) => {
+          const value = getMaterialValue(mat, prop)
+          return {
+            prop,
+            key: key((prop === 'color' ? 'model_color' : prop) + i),
+            settings: getMaterialInput(schema, prop, value),
+            value: typeof value === 'number' ? rNbr(value) : value,
+          }
+        })
+        .filter(({ value }) => value !== undefined)
     }
-    if (options.meta && obj.userData && Object.keys(obj.userData).length)
-      result += `userData={${JSON.stringify(obj.userData)}} `
-
-    // Remove empty groups
-    if (
-      !options.keepgroups &&
-      (type === 'group' || type === 'scene') &&
-      (result === oldResult || obj.children.length === 0)
-    ) {
-      obj.__removed = true
-      return children
+
+    function printMaterialControls(mat, i) {
+      const controls = getMaterialControls(mat, i)
+      if (!controls.length) return ''
+      const material = `${printAccess('materials', materialKey(mat))}${ts.cast(getMaterialSchema(mat).type)}`
+      return `
+          const { ${controls.map(({ key }) => key).join(', ')} } = useControls(${printValue(materialKey(mat))}, {
+            ${controls
+              .map(({ key, value, settings }) =>
+                settings
+                  ? `${key}: { value: ${ctx(key, value)}, min: ${settings.min}, max: ${settings.max}, step: ${
+                      settings.step
+                    } },`
+                  : `${key}: ${ctx(key, value)},`
+              )
+              .join('\n')}
+          });
+
+          useEffect(() => {
+            const material = ${material};
+            ${controls
+              .map(({ prop, key, value }) =>
+                typeof value === 'string' ? `material.${prop}.set(${key});` : `material.${prop} = ${key};`
+              )
+              .join('\n')}
+            material.needsUpdate = true;
+          }, [materials, ${controls.map(({ key }) => key).join(', ')}]);\n`
     }
 
-    // Close tag
-    result += `${children.length ? '>' : '/>'}\n`
+    function printControls(objects, obj) {
+      let materials = listMaterials(objects)
+      const [position, rotation, scale] = ['model_position', 'model_rotation', 'model_scale'].map(key)
+      const uniformScale = obj.scale.x === obj.scale.y && obj.scale.x === obj.scale.z
 
-    // Add children and return
-    if (children.length) result += children + `</${type}>${!parent ? '' : '\n'}`
+      return `
 
-    return result
+      const {
+        ${position},
+        ${rotation},
+        ${scale}
+      } = useControls(${printValue(name)}, {
+        ${position}: ${ctx(position, obj.position.toArray().map(rNbr))},
+        ${rotation}: ${ctx(rotation, [obj.rotation.x, obj.rotation.y, obj.rotation.z].map(rNbr))},
+        ${scale}: ${ctx(scale, uniformScale ? rNbr(obj.scale.x) : obj.scale.toArray().map(rNbr))}
+        })
+    
+      ${materials.map(printMaterialControls).join('')}
+
+      ${printLightControls()}
+
+      ${printMorphControls()}
+
+      ${printCameraControls()}
+      `
+    }
+
+    // Variant materials are only referenced by the mappings, they are loaded through the parser once selected
+    function printVariants() {
+      if (!hasVariants) return ''
+      const variantKey = key('variant')
+      const mappings = variantNames.reduce((all, variant) => {
+        const mapping = {}
+        variantMeshes.forEach((mesh) => {
+          if (mesh.userData.variantMaterials[variant] !== undefined)
+            mapping[nodeKey(mesh)] = mesh.userData.variantMaterials[variant]
+        })
+        return { ...all, [variant]: mapping }
+      }, {})
+      return `
+  ${
+    hasControls
+      ? `const [{ ${variantKey}: activeVariant }, setVariantControls] = useControls(${printValue(
+          prefix ? `${name} Variants` : 'Variants'
+        )}, () => ({
+    ${variantKey}: { value: variant || ${ctx(variantKey, 'Default')}, options: ${printValue([
+          'Default',
+          ...variantNames,
+        ])} },
+  }));
+
+  // leva only starts with the variant prop, later changes of it are pushed into the panel
+  useEffect(() => {
+    if (variant) setVariantControls({ ${variantKey}: variant });
+  }, [variant]);`
+      : 'const activeVariant = variant;'
   }
 
-  function printControls(objects, obj) {
-    let materials = [...new Set(objects.filter((o) => o.material && o.material.name).map((o) => o.material))]
-    let materialControls = materials.map((mat, i) => {
-      let hasClearCoat = mat.hasOwnProperty('clearcoat')
-      let hasClearCoatRoughness = mat.hasOwnProperty('clearcoatRoughness')
+  const [variantMaterials, setVariantMaterials] = useState${ts.generic('Record<string, THREE.Material>')}({});
+
+  useEffect(() => {
+    const mappings${ts.annotate('Record<string, Record<string, number>>')} = ${printValue(mappings)};
+    const mapping = (activeVariant && mappings[activeVariant]) || {};
+    let active = true;
+    Promise.all(Object.keys(mapping).map((mesh) => parser.getDependency('material', mapping[mesh]))).then((loaded) => {
+      const selected${ts.annotate('Record<string, THREE.Material>')} = {};
+      Object.keys(mapping).forEach((mesh, i) => (selected[mesh] = loaded[i]));
+      if (active) setVariantMaterials(selected);
+    });
+    return () => {
+      active = false;
+    };
+  }, [parser, activeVariant]);
+`
+    }
 
+    // The 'Animations' panel picks a clip by name and drives it through the mixer of useAnimations
+    function printAnimations(animations) {
+      if (!animations.length) return ''
+      if (!hasControls) return `const { actions } = useAnimations(animations, group);`
+      const [clip, loop, timeScale, crossfade, time] = ['clip', 'loop', 'timeScale', 'crossfade', 'time'].map(key)
+      const actionName = `${typePrefix}ActionName`
+      const json = (gltf.parser && gltf.parser.json) || {}
+      const duration = Math.max(...animations.map((clip, i) => rNbr(readAnimation(json, i).duration)), 0.01)
       return `
-        const { model_color${i}, metalness${i}, roughness${i}${hasClearCoat ? ', clearcoat' + i : ``}${
-        hasClearCoatRoughness ? ', clearcoatRoughness' + i : ``
-      }} = useControls('${mat.name}', \{
-          metalness${i}: {
-            value: context.ctx_metalness${i},
-            min: -1,
-            max: 1,
-            step: 0.1,
-          },
-          roughness${i}: {
-            value: context.ctx_roughness${i},
-            min: -1,
-            max: 1,
-            step: 0.1,
-          },
-          ${
-            hasClearCoat
-              ? `clearcoat${i}: {
-            value: context.ctx_clearcoat${i},
-            min: -1,
-            max: 1,
-            step: 0.1,
-          },`
-              : ``
-          } 
-          ${
-            hasClearCoatRoughness
-              ? `clearcoatRoughness${i}: {
-            value: context.ctx_clearcoatRoughness${i},
-            min: -1,
-            max: 1,
-            step: 0.1,
-          },`
-              : ``
-          }
-          model_color${i}: context.ctx_model_color${i}
-        \}\);\n`
-    })
+  const { actions, mixer } = useAnimations(animations, group);
+  const action = useRef${ts.generic('THREE.AnimationAction | null')}(null);
+
+  const { ${clip}, ${loop}, ${timeScale}, ${crossfade} } = useControls(${printValue(
+        prefix ? `${name} Animations` : 'Animations'
+      )}, {
+    ${clip}: { value: ${ctx(clip, animations[0].name)}, options: ${printValue(animations.map((clip) => clip.name))} },
+    ${loop}: { value: ${ctx(loop, 'repeat')}, options: ['repeat', 'once', 'pingpong'] },
+    ${timeScale}: { value: ${ctx(timeScale, 1)}, min: -2, max: 2, step: 0.1 },
+    ${crossfade}: { value: ${ctx(crossfade, 0.5)}, min: 0, max: 2, step: 0.1 },
+    ${time}: {
+      value: 0,
+      min: 0,
+      max: ${duration},
+      step: 0.01,
+      onChange: (time${ts.annotate('number')}) => {
+        if (!action.current) return;
+        action.current.time = Math.min(time, action.current.getClip().duration);
+        mixer.update(0);
+      },
+    },
+    play: button(() => {
+      if (!action.current) return;
+      action.current.paused = false;
+      action.current.play();
+    }),
+    pause: button(() => {
+      if (action.current) action.current.paused = true;
+    }),
+    stop: button(() => {
+      if (action.current) action.current.stop();
+    }),
+  });
 
-    return `
+  useEffect(() => {
+    const current = actions[${clip}${ts.cast(actionName)}];
+    if (!current) return;
+    current.reset().fadeIn(${crossfade}).play();
+    action.current = current;
+    return () => {
+      current.fadeOut(${crossfade});
+    };
+  }, [actions, ${clip}]);
 
-    const {
-      model_position,
-      model_rotation,
-      model_scale
-    } = useControls('Model', {
-      model_position: context.ctx_model_position,
-      model_rotation:  context.ctx_model_rotation,
-      model_scale: context.ctx_model_scale
-      })
-    
-    ${materialControls.join('')}
-    
+  useEffect(() => {
+    const current = actions[${clip}${ts.cast(actionName)}];
+    if (!current) return;
+    current.setLoop(${loop} === 'once' ? THREE.LoopOnce : ${loop} === 'pingpong' ? THREE.LoopPingPong : THREE.LoopRepeat, Infinity);
+    current.clampWhenFinished = ${loop} === 'once';
+    current.setEffectiveTimeScale(${timeScale});
+  }, [actions, ${clip}, ${loop}, ${timeScale}]);
+`
+    }
 
-    const { pointLight1Intensity, pointLight1Decay, pointLight1Pos, pointLight1Rotation } =
-      useControls('PointLight1', {
-        pointLight1Intensity: {
-          value: context.ctx_pointLight1Intensity,
-          min: -2,
-          max: 2,
-          step: 1,
-        },
-        pointLight1Decay: {
-          value: context.ctx_pointLight1Decay,
-          min: -2,
-          max: 2,
-          step: 1,
-        },
-        pointLight1Pos: {
-          value: {
-            x: context.ctx_pointLight1Pos.x,
-            y: context.ctx_pointLight1Pos.y,
-            z: context.ctx_pointLight1Pos.z
-          },
-          x: {
-            min: -15,
-            max: 15,
-            step: 1,
-          },
-          y: {
-            min: -15,
-            max: 15,
-            step: 1,
-          },
-          z: {
-            min: -15,
-            max: 15,
-            step: 1,
-          },
-        },
-          pointLight1Rotation: {
-            value: {
-              x: context.ctx_pointLight1Rotation.x,
-              y: context.ctx_pointLight1Rotation.y,
-              z: context.ctx_pointLight1Rotation.z,
-            },
-            x: {
-              min: -15,
-              max: 15,
-              step: 0.5,
-            },
-            y: {
-              min: -15,
-              max: 15,
-              step: 0.5,
-            },
-            z: {
-              min: -15,
-              max: 15,
-              step: 0.5,
-            },
-          },
-      });
-  
-    const { pointLight2Intensity, pointLight2Decay, pointLight2Pos, pointLight2Rotation } =
-      useControls('PointLight2', {
-        pointLight2Intensity: {
-          value: context.ctx_pointLight2Intensity,
-          min: -2,
-          max: 2,
-          step: 1,
-        },
-        pointLight2Decay: {
-          value: context.ctx_pointLight2Decay,
-          min: -2,
-          max: 2,
-          step: 1,
-        },
-        pointLight2Pos: {
-          value: {
-            x: context.ctx_pointLight2Pos.x,
-            y: context.ctx_pointLight2Pos.y,
-            z: context.ctx_pointLight2Pos.z,
-          },
-          x: {
-            min: -15,
-            max: 15,
-            step: 1,
-          },
-          y: {
-            min: -15,
-            max: 15,
-            step: 1,
-          },
-          z: {
-            min: -15,
-            max: 15,
-            step: 1,
-          },
-        },
-        pointLight2Rotation: {
-          value: {
-            x: context.ctx_pointLight2Rotation.x,
-            y: context.ctx_pointLight2Rotation.y,
-            z: context.ctx_pointLight2Rotation.z,
-          },
-          x: {
-            min: -15,
-            max: 15,
-            step: 0.5,
-          },
-          y: {
-            min: -15,
-            max: 15,
-            step: 0.5,
-          },
-          z: {
-            min: -15,
-            max: 15,
-            step: 0.5,
-          },
-        },
-      });
-  
-    const { spotLightIntensity, spotLightDecay, spotLightPos, spotLightRotation } = useControls(
-      'Spot Light',
-      {
-        spotLightIntensity: {
-          value: context.ctx_spotLightIntensity,
-          min: -1,
-          max: 1,
-          step: 0.1,
-        },
-        spotLightDecay: {
-          value: context.ctx_spotLightDecay,
-          min: -1,
-          max: 1,
-          step: 0.1,
-        },
-        spotLightPos: {
-          value: {
-            x: context.ctx_spotLightPos.x,
-            y: context.ctx_spotLightPos.y,
-            z: context.ctx_spotLightPos.z,
-          },
-          x: {
-            min: -15,
-            max: 15,
-            step: 1,
-          },
-          y: {
-            min: -15,
-            max: 15,
-            step: 1,
-          },
-          z: {
-            min: -15,
-            max: 15,
-            step: 1,
-          },
-        },
-        spotLightRotation: {
-          value: {
-            x: context.ctx_spotLightRotation.x,
-            y: context.ctx_spotLightRotation.y,
-            z: context.ctx_spotLightRotation.z,
-          },
-          x: {
-            min: -15,
-            max: 15,
-            step: 0.5,
-          },
-          y: {
-            min: -15,
-            max: 15,
-            step: 0.5,
-          },
-          z: {
-            min: -15,
-            max: 15,
-            step: 0.5,
-          },
-        },
-      }
-    );
-
-    useFrame(() => {
-      ${materials.map((mat, i) => {
-        const hasClearCoat = mat.hasOwnProperty('clearcoat')
-        const hasClearCoatRoughness = mat.hasOwnProperty('clearcoatRoughness')
-        return `
-        materials${sanitizeName(mat.name)}.metalness = metalness${i};
-        materials${sanitizeName(mat.name)}.roughness = roughness${i};
-        ${hasClearCoat ? `materials${sanitizeName(mat.name)}.clearcoat = clearcoat${i};` : ''}
+    function p(obj, line) {
+      console.log(
+        [...new Array(line * 2)].map(() => ' ').join(''),
+        obj.type,
+        obj.name,
+        'pos:',
+        obj.position.toArray().map(rNbr),
+        'scale:',
+        obj.scale.toArray().map(rNbr),
+        'rot:',
+        [obj.rotation.x, obj.rotation.y, obj.rotation.z].map(rNbr),
+        'mat:',
+        obj.material ? `${obj.material.name}-${obj.material.uuid.substring(0, 8)}` : ''
+      )
+      obj.children.forEach((o) => p(o, line + 1))
+    }
+
+    if (options.debug) p(gltf.scene, 0)
+
+    const scene = print(objects, gltf, gltf.scene)
+    const controls = hasControls ? printControls(objects, gltf.scene) : ''
+    const [position, rotation, scale] = ['model_position', 'model_rotation', 'model_scale'].map(key)
+    // Outside of the app the model itself is what the file exports
+    const exportModel = !isApp && !prefix ? 'export default ' : ''
+
+    return {
+      name,
+      scene,
+      hasInstances,
+      hasAnimations,
+      hasAliases,
+      element: hasInstances ? `<Instanced${name} />` : `<${name} />`,
+      types: options.types ? printTypes(objects, animations) : '',
+      declarations: printTypes(objects, animations, true),
+      component: `
         ${
-          hasClearCoatRoughness ? `materials${sanitizeName(mat.name)}.clearcoatRoughness = clearcoatRoughness${i};` : ''
+          hasInstances
+            ? `
+        ${exportModel}function Instanced${name}(${hasVariants ? '{ variant, ...props }' : 'props'}) {
+          const { nodes } = ${loadGLTF(`useGLTF(${printValue(url)}${loaderArgs})`)}${ts.cast(`${typePrefix}GLTFResult`)}
+          const instances = useMemo(() => ({
+            ${Object.values(duplicates.geometries)
+              .map((v) => `${v.name}: ${v.node}`)
+              .join(', ')}
+          }), [nodes])
+          return (
+            <Merged meshes={instances} {...props}>
+              {(instances) => <${name} instances={instances}${hasVariants ? ' variant={variant}' : ''} />}
+            </Merged>
+          )
         }
-        materials${sanitizeName(mat.name)}.color = new THREE.Color(
-          \`rgb(\${model_color${i}.r}, \${model_color${i}.g}, \${model_color${i}.b})\`)
         `
-      })}      
-    });
+            : ''
+        }
+
+        ${hasInstances ? '' : exportModel}function ${name}({ ${hasInstances ? 'instances, ' : ''}${
+        hasVariants ? 'variant, ' : ''
+      }...props }${ts.annotate(
+        `JSX.IntrinsicElements['group']${hasVariants ? ` & { variant?: ${typePrefix}Variant }` : ''}`
+      )}) {
+                const group = useRef${ts.generic('THREE.Group')}()
+                const { nodes, materials${hasAnimations ? ', animations' : ''}${
+        hasVariants ? ', parser' : ''
+      } } = ${loadGLTF(`useGLTF(${printValue(url)}${loaderArgs})`)}${ts.cast(`${typePrefix}GLTFResult`)}
+  ${hasControls ? 'let context = useContext(PropContext);' : ''}
+  ${printAnimations(animations)}
+  ${printVariants()}
+  ${controls}
   
-    
-    `
-  }
 
-  function listVariableControlNames(objects, obj) {
-    let controls = printControls(objects, obj)
-    return controls
-      .match(new RegExp(/(?<=\{).+?(?=\})/g))
-      .filter((str) => !str.includes('r: ') && !str.includes('.r') && !str.includes('.g') && !str.includes('.b'))
-      .flatMap((str) => str.replaceAll(/\s/g, '').split(','))
-  }
+  
+        return (
+                <group {...props} ref={group} dispose={null}${
+                  hasControls ? ` position={${position}} rotation={${rotation}} scale={${scale}}` : ''
+                }>
+                  ${scene}
+                </group>
+        )}
 
-  function intializeVariableState(objects, types, obj) {
-    let materials = [...new Set(objects.filter((o) => o.material && o.material.name).map((o) => o.material))]
-    return materials.map((mat, i) => {
-      let hasClearCoat = mat.hasOwnProperty('clearcoat')
-      let hasClearCoatRoughness = mat.hasOwnProperty('clearcoatRoughness')
-      return `
-        ctx_metalness${i}: ${types ? 'number' : '-1'},
-        ctx_roughness${i}: ${types ? 'number' : '1'},
-        ${hasClearCoat ? `ctx_clearcoat${i}: ${types ? 'number' : '0'},` : ``} 
-        ${hasClearCoatRoughness ? `ctx_clearcoatRoughness${i}: ${types ? 'number' : '0'},` : ``}
-        ctx_model_color${i}: ${
-        types
-          ? '{r:number, b:number, g:number}'
-          : `{ r: ${mat.color.r * 255}, g: ${mat.color.g * 255}, b: ${mat.color.b * 255} }`
-      }
-        `
-    })
+        
+useGLTF.preload(${printValue(url)}${loaderArgs})
+`,
+    }
   }
 
-  function createContext(objects, types, obj) {
-    return `
-    ${intializeVariableState(objects, types, obj)
-      .map((i) => i)
-      .join(',')},
-      ctx_model_position: ${
-        types
-          ? `[${typeof rNbr(obj.position.x)}, ${typeof rNbr(obj.position.y)}, ${typeof rNbr(obj.position.z)}]`
-          : `[${rNbr(obj.position.x)}, ${rNbr(obj.position.y)}, ${rNbr(obj.position.z)}]`
-      },
-  ctx_model_rotation: ${
-    types
-      ? `[${typeof rNbr(obj.rotation.x)}, ${typeof rNbr(obj.rotation.y)}, ${typeof rNbr(obj.rotation.z)}]`
-      : `[-Math.PI, -1, -Math.PI]`
-  },
-  ctx_model_scale: ${
-    obj.scale.x === obj.scale.y && obj.scale.x === obj.scale.z
-      ? types
-        ? typeof rNbr(obj.scale.x)
-        : rNbr(obj.scale.x)
-      : types
-      ? `[${typeof rNbr(obj.scale.x)}, ${typeof rNbr(obj.scale.y)}, ${typeof rNbr(obj.scale.z)}]`
-      : `[${rNbr(obj.scale.x)}, ${rNbr(obj.scale.y)}, ${rNbr(obj.scale.z)}]`
-  },
-    ctx_ground1_metalness: ${types ? 'number' : '-1'},
-        ctx_ground1_roughness: ${types ? 'number' : '1'},
-
-        ctx_ground1_model_color: ${types ? '{r:number, b:number, g:number}' : '{ r: 255, b: 255, g: 255 }'},
-    ctx_pointLight1Intensity: ${types ? typeof 0 : '0'},
-    ctx_pointLight1Decay: ${types ? typeof 0 : '0'},
-    ctx_pointLight1Pos: ${types ? `{ x: ${typeof 0}, y: ${typeof 2}, z: ${typeof 1.5} }` : '{ x: 0, y: 2, z: 1.5 }'},
-    ctx_pointLight1Rotation: ${
-      types ? `{ x: ${typeof 0}, y: ${typeof 2}, z: ${typeof 1.5} }` : '{ x: -Math.PI, y: -Math.PI, z: -Math.PI }'
-    } ,
-    ctx_pointLight2Intensity: ${types ? typeof 0 : '0'} ,
-    ctx_pointLight2Decay: ${types ? typeof 0 : '0'} ,
-    ctx_pointLight2Pos: ${types ? `{ x: ${typeof 0}, y: ${typeof 2}, z: ${typeof 1.5} }` : '{ x: 0, y: 2, z: 1.5 }'} ,
-    ctx_pointLight2Rotation: ${
-      types ? `{ x: ${typeof 0}, y: ${typeof 2}, z: ${typeof 1.5} }` : '{ x: -Math.PI, y: -Math.PI, z: -Math.PI }'
-    } ,
-    ctx_spotLightIntensity: ${types ? typeof 0 : '0'} ,
-    ctx_spotLightDecay: ${types ? typeof 0 : '0'} ,
-    ctx_spotLightPos: ${types ? `{ x: ${typeof 0}, y: ${typeof 2}, z: ${typeof 1.5} }` : '{ x: 0, y: 2, z: 1.5 }'} ,
-    ctx_spotLightRotation: ${
-      types ? `{ x: ${typeof 0}, y: ${typeof 2}, z: ${typeof 1.5} }` : '{ x: 0, y: -Math.PI, z: 0 }'
-    } ,
-    ctx_backgroundGradient: ${types ? typeof true : 'true'} ,
-    ctx_color1: ${types ? `{ r: ${typeof 2}, g: ${typeof 132}, b: ${typeof 199} }` : '{ r: 2, g: 132, b: 199 }'} ,
-    ctx_color2: ${types ? `{ r: ${typeof 125}, g: ${typeof 211}, b: ${typeof 252} }` : '{ r: 125, g: 211, b: 252 }'} ,
-    ctx_positionSpotLight: ${types ? `[${typeof 3}, ${typeof 10}, ${typeof 3}]` : '[3, 10, 3]'} ,
-    ctx_angleSpotLight: ${types ? typeof 0.5 : '0.5'} ,
-    ctx_penumbraSpotLight: ${types ? typeof 1 : '1'} ,
-    ctx_intensitySpotLight: ${types ? typeof 0.2 : '0.2'} ,
-    ctx_positionPointLightOne: ${types ? `[${typeof 3}, ${typeof 10}, ${typeof 3}]` : '[10, 7, 10]'} ,
-    ctx_intensityPointLightOne: ${types ? typeof 0.2 : '0.2'} ,
-    ctx_positionPointLightTwo: ${types ? `[${typeof 3}, ${typeof 10}, ${typeof 3}]` : '[5, 0.5, 5]'} ,
-    ctx_intensityPointLightTwo: ${types ? typeof 1 : '1'} ,
-    ctx_positionCloudOne: ${types ? `[${typeof 3}, ${typeof 10}, ${typeof 3}]` : '[3, 10, 3]'} ,
-    ctx_opacityCloudOne: ${types ? typeof 0.2 : '0.2'} ,
-    ctx_rotationSpeedCloudOne: ${types ? typeof 0.4 : '0.4'} ,
-    ctx_widthCloudOne: ${types ? typeof 1 : '1'},
-    ctx_depthCloudOne: ${types ? typeof 1.5 : '1.5'},
-    ctx_segmentsCloudOne: ${types ? typeof 2 : '2'},
-    ctx_positionCloudTwo: ${types ? `[${typeof 3}, ${typeof 10}, ${typeof 3}]` : '[-8, 8, -6]'},
-    ctx_opacityCloudTwo: ${types ? typeof 0.2 : '0.2'},
-    ctx_rotationSpeedCloudTwo: ${types ? typeof 0.4 : '0.4'},
-    ctx_widthCloudTwo: ${types ? typeof 1 : '1'},
-    ctx_depthCloudTwo: ${types ? typeof 1.5 : '1.5'} ,
-    ctx_segmentsCloudTwo: ${types ? typeof 1 : '1'},
-    ctx_positionCloudThree: ${types ? `[${typeof 3}, ${typeof 10}, ${typeof 3}]` : '[-3, 15, -3]'} ,
-    ctx_opacityCloudThree: ${types ? typeof 0.2 : '0.2'},
-    ctx_rotationSpeedCloudThree: ${types ? typeof 0.4 : '0.4'},
-    ctx_widthCloudThree: ${types ? typeof 2 : '2'},
-    ctx_depthCloudThree: ${types ? typeof 1 : '1'},
-    ctx_segmentsCloudThree: ${types ? typeof 6 : '6'},
-    ctx_radiusStars: ${types ? typeof 100 : '100'},
-    ctx_depthStars: ${types ? typeof 25 : '25'},
-    ctx_countStars: ${types ? typeof 5000 : '5000'},
-    ctx_factorStars: ${types ? typeof 4 : '4'},
-    ctx_saturationStars: ${types ? typeof 1 : '1'},
-    ctx_fadeStars: ${types ? typeof true : 'true'},
-    ctx_groundvisible : ${types ? typeof true : 'true'}
+  // Shadow-catcher plane, used when no ground model is given
+  function printGroundPlane() {
+    const { size, opacity, position } = stage.ground
+    return {
+      name: 'Ground',
+      element: '<Ground />',
+      component: `
+        function Ground(props${ts.annotate("JSX.IntrinsicElements['mesh']")}) {
+          let context = useContext(PropContext);
 
-    
-    `
+          const { groundPosition, groundOpacity } = useControls('Ground', {
+            groundPosition: ${ctx('groundPosition', position)},
+            groundOpacity: { value: ${ctx('groundOpacity', opacity)}, min: 0, max: 1, step: 0.05 },
+          });
+
+          return (
+            <mesh {...props} rotation={[-Math.PI / 2, 0, 0]} position={groundPosition} receiveShadow>
+              <planeGeometry args={[${size}, ${size}]} />
+              <shadowMaterial transparent opacity={groundOpacity} />
+            </mesh>
+          );
+        }
+`,
+    }
   }
 
-  function printAnimations(animations) {
-    return animations.length ? `\nconst { actions } = useAnimations(animations, group)` : ''
+  // Values baked in with --preset replace the defaults, types stay those of the generated controls
+  const presetValues = options.preset ? readPreset(options.preset).values : {}
+
+  function createContext(types) {
+    return [...contextValues]
+      .map(([key, value]) => {
+        if (types) return `ctx_${key}: ${printType(value)},`
+        const hasPreset = Object.prototype.hasOwnProperty.call(presetValues, key)
+        return `ctx_${key}: ${printValue(hasPreset ? presetValues[key] : value)},`
+      })
+      .join('\n')
   }
 
   function parseExtras(extras) {
@@ -624,59 +872,143 @@ function parse(fileName, gltf, options = {}) {
     } else return ''
   }
 
-  function p(obj, line) {
-    console.log(
-      [...new Array(line * 2)].map(() => ' ').join(''),
-      obj.type,
-      obj.name,
-      'pos:',
-      obj.position.toArray().map(rNbr),
-      'scale:',
-      obj.scale.toArray().map(rNbr),
-      'rot:',
-      [obj.rotation.x, obj.rotation.y, obj.rotation.z].map(rNbr),
-      'mat:',
-      obj.material ? `${obj.material.name}-${obj.material.uuid.substring(0, 8)}` : ''
-    )
-    obj.children.forEach((o) => p(o, line + 1))
+  const model = printModel(fileName, gltf, { name: options.name || 'Model' })
+  const ground = !isApp
+    ? null
+    : options.ground
+    ? printModel(options.ground.fileName, options.ground.gltf, { name: 'Ground', prefix: 'ground' })
+    : stage.ground && printGroundPlane()
+  const models = [model, ground].filter(Boolean)
+  const hasInstances = models.some((model) => model.hasInstances)
+  const hasAnimations = models.some((model) => model.hasAnimations)
+  const hasAliases = models.some((model) => model.hasAliases)
+  const scene = models.map((model) => model.scene || '').join('')
+  const components = models.map((model) => model.component).join('\n')
+  const stageControls = isApp ? printStageControls() : ''
+  const groundControls = ground
+    ? `const { groundVisible } = useControls('Ground', {
+    General: folder({
+      groundVisible: ${ctx('groundVisible', true)}
+    })
+  });`
+    : ''
+  const typeContext = createContext(true)
+  const presetName =
+    fileName
+      .split('/')
+      .pop()
+      .replace(/\.[^.]+$/, '') + '-preset.json'
+
+  function printImport(names, from) {
+    const list = names.filter(Boolean)
+    return list.length ? `import { ${list.join(', ')} } from '${from}';` : ''
+  }
+
+  function printImports() {
+    const react = [
+      'useRef',
+      (hasInstances || hasAliases) && 'useMemo',
+      hasControls && 'useContext',
+      (isApp || components.includes('useEffect(')) && 'useEffect',
+      components.includes('useState') && 'useState',
+      isApp && 'Suspense',
+    ].filter(Boolean)
+    return [
+      (options.types || hasControls) && `import * as THREE from 'three'`,
+      `import React, { ${react.join(', ')} } from 'react'`,
+      printImport(
+        isApp
+          ? ['button', 'folder', 'Leva', 'levaStore', 'useControls']
+          : [
+              components.includes('button(') && 'button',
+              components.includes('folder(') && 'folder',
+              hasControls && 'useControls',
+            ],
+        'leva'
+      ),
+      printImport(
+        [
+          'useGLTF',
+          isApp && stage.clouds.length && 'Cloud',
+          isApp && stage.orbitControls && 'OrbitControls',
+          isApp && stage.stars && 'Stars',
+          hasInstances && 'Merged',
+          scene.includes('<Instances') && 'Instances',
+          scene.includes('<Instance ') && 'Instance',
+          scene.includes('PerspectiveCamera') && 'PerspectiveCamera',
+          scene.includes('OrthographicCamera') && 'OrthographicCamera',
+          hasAnimations && 'useAnimations',
+        ],
+        '@react-three/drei'
+      ),
+      ts.only(`import { GLTF } from 'three-stdlib'`),
+      printImport([isApp && 'Canvas', components.includes('useFrame(') && 'useFrame'], '@react-three/fiber'),
+    ]
+      .filter(Boolean)
+      .join('\n')
   }
 
-  if (options.debug) p(gltf.scene, 0)
-
-  const scene = print(objects, gltf, gltf.scene)
-  const controls = printControls(objects, gltf.scene)
-  let variableControlNames = listVariableControlNames(objects, gltf.scene)
-  /*  let effect = `
-    useEffect(() => \{
-    ${variableControlNames.map((variableName) => "context['" + variableName + "'] = " + variableName + ';').join('')}
-  \})` */
-  let typeContext = createContext(objects, true, gltf.scene)
-
-  return `
-        ${options.types ? `\nimport * as THREE from 'three'` : ''}
-        import React, { Suspense, useState, useCallback, useContext, useEffect, useRef ${
-          hasInstances ? ', useMemo' : ''
-        } } from 'react'
-        import { folder, Leva, useControls } from 'leva';
-        import { useGLTF, Cloud, OrbitControls, Stars, ${hasInstances ? 'Merged, ' : ''} ${
-    scene.includes('PerspectiveCamera') ? 'PerspectiveCamera,' : ''
+  function printContext() {
+    return `
+        const PropContext = React.createContext${ts.generic(`{${typeContext}}`)}({
+          ${createContext(false)}
+        });`
+  }
+
+  // The runtime side of assignKeys in ./duplicates, it has to number objects the same way
+  function printUniqueKeys() {
+    return `
+        // useGLTF keys nodes and materials by name, the ones that share a name (or have none) are numbered: Box_2
+        function assignKeys${ts.generic('T extends { name: string; type: string }')}(items${ts.annotate('T[]')}) {
+          const keys${ts.annotate('Record<string, T>')} = {};
+          const has = (key${ts.annotate('string')}) => Object.prototype.hasOwnProperty.call(keys, key);
+          const rest = items.filter((item) => {
+            if (!item.name || has(item.name)) return true;
+            keys[item.name] = item;
+            return false;
+          });
+          rest.forEach((item) => {
+            const name = item.name || item.type;
+            let key = name;
+            for (let i = 2; has(key); i++) key = name + '_' + i;
+            keys[key] = item;
+          });
+          return keys;
+        }
+
+        function useUniqueKeys(gltf${ts.annotate('GLTF')}) {
+          return useMemo(() => {
+            const objects${ts.annotate('THREE.Object3D[]')} = [];
+            gltf.scene.traverse((obj) => objects.push(obj));
+            const materials = objects
+              .map((obj) => (obj${ts.cast('THREE.Mesh')}).material)
+              .filter((material, i, all)${ts.annotate(
+                'material is THREE.Material'
+              )} => !!material && !Array.isArray(material) && !!material.name && all.indexOf(material) === i);
+            return { ...gltf, nodes: assignKeys(objects), materials: assignKeys(materials) };
+          }, [gltf]);
+        }`
   }
-        ${scene.includes('OrthographicCamera') ? 'OrthographicCamera,' : ''}
-        ${hasAnimations ? 'useAnimations' : ''} } from '@react-three/drei'
-        ${options.types ? 'import { GLTF } from "three-stdlib"' : ''}
-        import { Canvas, useFrame } from '@react-three/fiber';
-        ${options.types ? printTypes(objects, animations) : ''}
 
-        const componentToHex = (c: number) => {
+  function printApp() {
+    return `
+        ${
+          stage.background
+            ? `
+        const componentToHex = (c${ts.annotate('number')}) => {
           const hex = c.toString(16);
           return hex.length == 1 ? '0' + hex : hex;
         };
         
-        const rgbToHex = (r: number, g: number, b: number) => {
+        const rgbToHex = (r${ts.annotate('number')}, g${ts.annotate('number')}, b${ts.annotate('number')}) => {
           return '#' + componentToHex(r) + componentToHex(g) + componentToHex(b);
-        };
+        };`
+            : ''
+        }
 
-        function download(content: BlobPart, fileName: string, contentType: string) {
+        function download(content${ts.annotate('BlobPart')}, fileName${ts.annotate('string')}, contentType${ts.annotate(
+      'string'
+    )}) {
           var a = document.createElement('a');
           var file = new Blob([content], { type: contentType });
           a.href = URL.createObjectURL(file);
@@ -684,570 +1016,107 @@ function parse(fileName, gltf, options = {}) {
           a.click();
         }
 
-        ${
-          hasInstances
-            ? `
-        function InstancedModel(props) {
-          const { nodes } = useGLTF('${url}'${options.draco ? `, ${JSON.stringify(options.draco)}` : ''})${
-                options.types ? ' as GLTFResult' : ''
-              }
-          const instances = useMemo(() => ({
-            ${Object.values(duplicates.geometries)
-              .map((v) => `${v.name}: ${v.node}`)
-              .join(', ')}
-          }), [nodes])
-          return (
-            <Merged meshes={instances} {...props}>
-              {(instances) => <Model instances={instances} />}
-            </Merged>
-          )
-        }
-        `
-            : ''
-        }
+        const PRESET_VERSION = ${presetVersion};
 
-        const PropContext = React.createContext<{${typeContext}}>({
-          ${createContext(objects, false, gltf.scene)}
-        });
-
-        type Ground1Result = GLTF & {
-          nodes: {
-            ['SM_Env_RoadPiece_Damaged_01_(17)_Voxelized(Clone)']: THREE.Mesh;
-          };
-          materials: {
-            PolygonApocalypse_Material_Road_01_Triplanar: THREE.MeshStandardMaterial;
-          };
-        };
+        ${ts.only('type Preset = { version: number; values: Record<string, unknown> };')}
 
-        const Ground01 = ({ ...props }: JSX.IntrinsicElements['group']) => {
-          const group = useRef<THREE.Group>();
-          const { nodes, materials } = useGLTF('/Ground01.glb') as Ground1Result;
-          let context = useContext(PropContext);
-      
-          const { ground_1_position, ground_1_rotation, ground_1_modal_scale } =
-          useControls('Ground', {
-            Positioing: folder({
-              ground_1_position: [0, -0.75, 0],
-              ground_1_rotation: [0, 0, 0],
-              ground_1_modal_scale: 1,
-            }),
-          });
-      
-        const { ground1_model_color, ground1_metalness, ground1_roughness } =
-          useControls('PolygonApocalypse_Material_Road_01_Triplanar', {
-            ground1_metalness: {
-              value: context.ctx_ground1_metalness,
-              min: -1,
-              max: 1,
-              step: 0.1,
-            },
-            ground1_roughness: {
-              value: context.ctx_ground1_roughness,
-              min: -1,
-              max: 1,
-              step: 0.1,
-            },
-      
-            ground1_model_color: { r: materials.PolygonApocalypse_Material_Road_01_Triplanar.color.r * 255, g: 
-    materials.PolygonApocalypse_Material_Road_01_Triplanar.color.g * 255
-  , b: materials.PolygonApocalypse_Material_Road_01_Triplanar.color.b * 255},
+        // Presets hold the live value of every generated control, keyed like PropContext without the ctx_ prefix
+        function getPreset(context${ts.annotate('Record<string, unknown>')})${ts.annotate('Preset')} {
+          const data = levaStore.getData()${ts.cast('Record<string, any>')};
+          const values${ts.annotate('Record<string, unknown>')} = {};
+          Object.keys(data).forEach((path) => {
+            const { key, value } = data[path];
+            if (Object.prototype.hasOwnProperty.call(context, 'ctx_' + key)) values[key] = value;
           });
-      
-          useFrame(() => {
-            materials.PolygonApocalypse_Material_Road_01_Triplanar.metalness =
-              ground1_metalness;
-            materials.PolygonApocalypse_Material_Road_01_Triplanar.roughness =
-              ground1_roughness;
-      
-            materials.PolygonApocalypse_Material_Road_01_Triplanar.color =
-              new THREE.Color(
-                \`rgb(\${ground1_model_color.r}, \${ground1_model_color.g}, \${ground1_model_color.b})\`
-              );
-          });
-      
-          return (
-            <group ref={group} {...props} dispose={null}>
-              <mesh
-                geometry={
-                  nodes['SM_Env_RoadPiece_Damaged_01_(17)_Voxelized(Clone)'].geometry
-                }
-                material={materials.PolygonApocalypse_Material_Road_01_Triplanar}
-                position={ground_1_position}
-                rotation={ground_1_rotation}
-                scale={ground_1_modal_scale}
-              />
-            </group>
-          );
-        };
-
-        
-      
-        useGLTF.preload('/Ground01.glb');
-
-        function Model({ ${hasInstances ? 'instances, ' : ''}...props }${
-    options.types ? ": JSX.IntrinsicElements['group']" : ''
-  }) {
-                const group = ${options.types ? 'useRef<THREE.Group>()' : 'useRef()'}
-                const { nodes, materials${hasAnimations ? ', animations' : ''} } = useGLTF('${url}'${
-    options.draco ? `, ${JSON.stringify(options.draco)}` : ''
-  })${options.types ? ' as GLTFResult' : ''}${printAnimations(animations)}
-  let context = useContext(PropContext);
-
-  const playAnim = () => {
-    const actionNameArray = Object.values([
-      'animation_0',
-      'animation_1',
-      'animation_2',
-      'animation_3',
-    ]);
-    const random = Math.floor(Math.random() * actionNameArray.length);
-    const chosenAnimation: string = actionNameArray[random];
-    const currentAnimation = actions[chosenAnimation];
-    currentAnimation?.setLoop(THREE.LoopOnce, 1);
-    currentAnimation!.clampWhenFinished = true;
-    currentAnimation?.play().reset();
-    actions?.animation_0?.play();
-  };
-
-  useFrame(() => {
-    if (
-      actions['animation_0']?.isRunning() ||
-      actions['animation_1']?.isRunning() ||
-      actions['animation_2']?.isRunning() ||
-      actions['animation_3']?.isRunning()
-    ) {
-      if (group.current) {
-        group.current.rotation.x = model_rotation[0];
-        group.current.rotation.y = model_rotation[1];
-        group.current.rotation.z = model_rotation[2];
-        group.current.position.x = model_position[0];
-        group.current.position.y = model_position[1];
-        group.current.position.z = model_position[2];
-      }
-    }
-  });
-
-  const afterRender = useCallback(() => {
-    if (group.current && group.current.position.y == 0) {
-      setTimeout(afterRender, 200);
-    } else if (!group.current) {
-      setTimeout(afterRender, 200);
-    }
-    actions?.animation_0?.play();
-  }, [actions, group.current]);
-
-  useEffect(afterRender, []);
-  
-  ${controls}
-  
-
-  
-        return (
-                <group {...props} ref={group} dispose={null} onPointerDown={playAnim} rotation={[model_rotation[0], model_rotation[1], model_rotation[2]]}>
-                  ${scene}
-                  <pointLight
-                    intensity={pointLight1Intensity}
-                    decay={pointLight1Decay}
-                    position={[pointLight1Pos.x, pointLight1Pos.y, pointLight1Pos.z]}
-                    rotation={[pointLight1Rotation.x, pointLight1Rotation.y, pointLight1Rotation.z]}
-                  />
-                  <pointLight
-                    intensity={pointLight2Intensity}
-                    decay={pointLight2Decay}
-                    position={[pointLight2Pos.x, pointLight2Pos.y, pointLight2Pos.z]}
-                    rotation={[pointLight2Rotation.x, pointLight2Rotation.y, pointLight2Rotation.z]}
-                  />
-                  <spotLight
-                    intensity={spotLightIntensity}
-                    angle={Math.PI / 10}
-                    decay={spotLightDecay}
-                    position={[spotLightPos.x, spotLightPos.y, spotLightPos.z]}
-                    rotation={[spotLightRotation.x, spotLightRotation.y, spotLightRotation.z]}
-                  />
-                </group>
-        )}
-
-        
-useGLTF.preload('${url}')
+          return { version: PRESET_VERSION, values };
+        }
 
+        function applyPreset(preset${ts.annotate('Preset')}) {
+          if (!preset || preset.version !== PRESET_VERSION || !preset.values)
+            throw new Error('Unsupported preset version ' + (preset && preset.version) + ', expected ' + PRESET_VERSION);
+          const data = levaStore.getData()${ts.cast('Record<string, any>')};
+          const values${ts.annotate('Record<string, unknown>')} = {};
+          Object.keys(data).forEach((path) => {
+            const { key } = data[path];
+            if (Object.prototype.hasOwnProperty.call(preset.values, key)) values[path] = preset.values[key];
+          });
+          levaStore.set(values, false);
+        }
 
        export default function CombinedModel() {
 
-       let context = useContext(PropContext);
+  const context = useContext(PropContext);
+  const presetInput = useRef${ts.generic('HTMLInputElement')}(null);
 
-       const [files, setFiles] = useState('');
-
-  const handleChange = (e: any) => {
-    const fileReader = new FileReader();
-    fileReader.readAsText(e.target.files[0], 'UTF-8');
-    fileReader.onload = (e) => {
-      setFiles(e.target!.result as string);
-    };
+  const loadPreset = (e${ts.annotate('React.ChangeEvent<HTMLInputElement>')}) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (file) file.text().then((text) => applyPreset(JSON.parse(text))).catch(console.error);
   };
 
-  useEffect(() => {
-    if (files) {
-      context = { ...JSON.parse(files) };
-    }
-  }, [files]);
- 
-
-  const {
-    backgroundGradient,
-    color1,
-    color2,
-    positionCloudOne,
-    opacityCloudOne,
-    rotationSpeedCloudOne,
-    widthCloudOne,
-    depthCloudOne,
-    segmentsCloudOne,
-    positionCloudTwo,
-    opacityCloudTwo,
-    rotationSpeedCloudTwo,
-    widthCloudTwo,
-    depthCloudTwo,
-    segmentsCloudTwo,
-    positionCloudThree,
-    opacityCloudThree,
-    rotationSpeedCloudThree,
-    widthCloudThree,
-    depthCloudThree,
-    segmentsCloudThree,
-    positionSpotLight,
-    angleSpotLight,
-    penumbraSpotLight,
-    intensitySpotLight,
-    positionPointLightOne,
-    intensityPointLightOne,
-    positionPointLightTwo,
-    intensityPointLightTwo,
-    radiusStars,
-    depthStars,
-    countStars,
-    factorStars,
-    saturationStars,
-    fadeStars,
-  } = useControls('Background', {
-    General: folder({
-      backgroundGradient: context.ctx_backgroundGradient,
-      color1: context.ctx_color1,
-      color2: context.ctx_color2,
-    }),
-    SpotLight: folder({
-      positionSpotLight: context.ctx_positionSpotLight,
-      angleSpotLight: {
-        value: context.ctx_angleSpotLight,
-        min: 0,
-        max: 1,
-        step: 0.1,
-      },
-      penumbraSpotLight: {
-        value: context.ctx_penumbraSpotLight,
-        min: 0,
-        max: 5,
-        step: 0.1,
-      },
-      intensitySpotLight: {
-        value: context.ctx_intensitySpotLight,
-        min: 0,
-        max: 3,
-        step: 0.1,
-      },
-    }),
-    PointLight1: folder({
-      positionPointLightOne: context.ctx_positionPointLightOne,
-
-      intensityPointLightOne: {
-        value: context.ctx_intensityPointLightOne,
-        min: 0,
-        max: 3,
-        step: 0.1,
-      },
-    }),
-    PointLight2: folder({
-      positionPointLightTwo: context.ctx_positionPointLightTwo,
-
-      intensityPointLightTwo: {
-        value: context.ctx_intensityPointLightTwo,
-        min: 0,
-        max: 3,
-        step: 0.1,
-      },
-    }),
-    Cloud1: folder({
-      positionCloudOne: context.ctx_positionCloudOne,
-      opacityCloudOne: {
-        value: context.ctx_opacityCloudOne,
-        min: 0,
-        max: 1,
-        step: 0.1,
-      },
-      rotationSpeedCloudOne: {
-        value: context.ctx_rotationSpeedCloudOne,
-        min: 0,
-        max: 1,
-        step: 0.1,
-      },
-      widthCloudOne: {
-        value: context.ctx_widthCloudOne,
-        min: 0,
-        max: 10,
-        step: 0.1,
-      },
-      depthCloudOne: {
-        value: context.ctx_depthCloudOne,
-        min: 0,
-        max: 10,
-        step: 0.1,
-      },
-      segmentsCloudOne: {
-        value: context.ctx_segmentsCloudOne,
-        min: 0,
-        max: 15,
-        step: 1,
-      },
-    }),
-    Cloud2: folder({
-      positionCloudTwo: context.ctx_positionCloudTwo,
-      opacityCloudTwo: {
-        value: context.ctx_opacityCloudTwo,
-        min: 0,
-        max: 1,
-        step: 0.1,
-      },
-      rotationSpeedCloudTwo: {
-        value: context.ctx_rotationSpeedCloudTwo,
-        min: 0,
-        max: 1,
-        step: 0.1,
-      },
-      widthCloudTwo: {
-        value: context.ctx_widthCloudTwo,
-        min: 0,
-        max: 10,
-        step: 0.1,
-      },
-      depthCloudTwo: {
-        value: context.ctx_depthCloudTwo,
-        min: 0,
-        max: 10,
-        step: 0.1,
-      },
-      segmentsCloudTwo: {
-        value: context.ctx_segmentsCloudTwo,
-        min: 0,
-        max: 15,
-        step: 1,
-      },
-    }),
-    Cloud3: folder({
-      positionCloudThree: context.ctx_positionCloudThree,
-      opacityCloudThree: {
-        value: context.ctx_opacityCloudThree,
-        min: 0,
-        max: 1,
-        step: 0.1,
-      },
-      rotationSpeedCloudThree: {
-        value: context.ctx_rotationSpeedCloudThree,
-        min: 0,
-        max: 1,
-        step: 0.1,
-      },
-      widthCloudThree: {
-        value: context.ctx_widthCloudThree,
-        min: 0,
-        max: 10,
-        step: 0.1,
-      },
-      depthCloudThree: {
-        value: context.ctx_depthCloudThree,
-        min: 0,
-        max: 10,
-        step: 0.1,
-      },
-      segmentsCloudThree: {
-        value: context.ctx_segmentsCloudThree,
-        min: 0,
-        max: 15,
-        step: 1,
-      },
-    }),
-    Stars: folder({
-      radiusStars: {
-        value: context.ctx_radiusStars,
-        min: 0,
-        max: 300,
-        step: 10,
-      },
-      depthStars: {
-        value: context.ctx_depthStars,
-        min: 0,
-        max: 100,
-        step: 5,
-      },
-      countStars: {
-        value: context.ctx_countStars,
-        min: 0,
-        max: 10000,
-        step: 100,
-      },
-      factorStars: {
-        value: context.ctx_factorStars,
-        min: 0,
-        max: 15,
-        step: 1,
-      },
-      saturationStars: {
-        value: context.ctx_saturationStars,
-        min: 0,
-        max: 1,
-        step: 0.1,
-      },
-      fadeStars: context.ctx_fadeStars,
-    }),
+  useControls('Preset', {
+    save: button(() => download(JSON.stringify(getPreset(context), null, 2), ${printValue(
+      presetName
+    )}, 'application/json')),
+    load: button(() => presetInput.current && presetInput.current.click()),
   });
 
-  const {
-    groundVisible
-  } = useControls('Ground', {
-    General: folder({
-      groundVisible: true
-    })
-  });
+  ${stageControls}
 
-  useEffect(() => {
-    context.ctx_backgroundGradient =backgroundGradient;
-    context.ctx_color1 =    color1;
-    context.ctx_color2 =    color2;
-    context.ctx_positionCloudOne =    positionCloudOne;
-    context.ctx_opacityCloudOne =    opacityCloudOne;
-    context.ctx_rotationSpeedCloudOne =    rotationSpeedCloudOne;
-    context.ctx_widthCloudOne =    widthCloudOne;
-    context.ctx_depthCloudOne =    depthCloudOne;
-    context.ctx_segmentsCloudOne =    segmentsCloudOne;
-    context.ctx_positionCloudTwo =    positionCloudTwo;
-    context.ctx_opacityCloudTwo =    opacityCloudTwo;
-    context.ctx_rotationSpeedCloudTwo =    rotationSpeedCloudTwo;
-    context.ctx_widthCloudTwo =    widthCloudTwo;
-    context.ctx_depthCloudTwo =    depthCloudTwo;
-    context.ctx_segmentsCloudTwo =    segmentsCloudTwo;
-    context.ctx_positionCloudThree =    positionCloudThree;
-    context.ctx_opacityCloudThree =    opacityCloudThree;
-    context.ctx_rotationSpeedCloudThree =    rotationSpeedCloudThree;
-    context.ctx_widthCloudThree =    widthCloudThree;
-    context.ctx_depthCloudThree =    depthCloudThree;
-    context.ctx_segmentsCloudThree =    segmentsCloudThree;
-    context.ctx_positionSpotLight =    positionSpotLight;
-    context.ctx_angleSpotLight =    angleSpotLight;
-    context.ctx_penumbraSpotLight =    penumbraSpotLight;
-    context.ctx_intensitySpotLight =    intensitySpotLight;
-    context.ctx_positionPointLightOne =    positionPointLightOne;
-    context.ctx_intensityPointLightOne =    intensityPointLightOne;
-    context.ctx_positionPointLightTwo =    positionPointLightTwo;
-    context.ctx_intensityPointLightTwo =    intensityPointLightTwo;
-    context.ctx_radiusStars =    radiusStars;
-    context.ctx_depthStars =    depthStars;
-    context.ctx_countStars =    countStars;
-    context.ctx_factorStars =    factorStars;
-    context.ctx_saturationStars =    saturationStars;
-    context.ctx_fadeStars =    fadeStars;
-  })
+  ${groundControls}
 
           return (
             
             <div
             className={"h-screen items-center justify-center absolute inset-0 overflow-x-hidden z-0 min-h-screen"}
-            style={{
-              background:\`\${
-                backgroundGradient
-                  ? \`linear-gradient(to left, \${rgbToHex(color1.r, color1.g, color1.b)}, \${rgbToHex(
-                      color2.r,
-                      color2.g,
-                      color2.b
-                      )})\`
-                  : rgbToHex(color1.r, color1.g, color1.b)
-              }\`,
-            }}
+            ${stage.background ? `style={{ background: ${printBackground()} }}` : ''}
           >
             <Leva flat oneLineLabels />
       
-            <Canvas className='h-full w-full' camera={{ position: [1.5, 1, 1.75] }}>
-              <spotLight
-                position={positionSpotLight}
-                angle={angleSpotLight}
-                penumbra={penumbraSpotLight}
-                intensity={intensitySpotLight}
-              />
-              <pointLight
-                position={positionPointLightOne}
-                intensity={intensityPointLightOne}
-              />
+            <Canvas className='h-full w-full' camera={${printValue(stage.camera)}}${hasShadowCatcher ? ' shadows' : ''}>
+              ${printStageLights()}
               <Suspense fallback={null}>
-                {/* <Environment preset='forest' /> */}
-                <ambientLight intensity={0.3} />
-                <Stars
-                  radius={radiusStars}
-                  depth={depthStars}
-                  count={countStars}
-                  factor={factorStars}
-                  saturation={saturationStars}
-                  fade={fadeStars}
-                />
-                <group position={positionCloudOne}>
-                  <Cloud
-                    opacity={opacityCloudOne}
-                    speed={rotationSpeedCloudOne} 
-                    width={widthCloudOne} 
-                    depth={depthCloudOne} 
-                    segments={segmentsCloudOne} 
-                  />
-                </group>
-                <group position={positionCloudTwo}>
-                  <Cloud
-                    opacity={opacityCloudTwo}
-                    speed={rotationSpeedCloudTwo} 
-                    width={widthCloudTwo} 
-                    depth={depthCloudTwo} 
-                    segments={segmentsCloudTwo} 
-                  />
-                </group>
-                <group position={positionCloudThree}>
-                  <Cloud
-                    opacity={opacityCloudThree}
-                    speed={rotationSpeedCloudThree} 
-                    width={widthCloudThree} 
-                    depth={depthCloudThree} 
-                    segments={segmentsCloudThree} 
-                  />
-                </group>
-                <pointLight
-                  position={positionPointLightTwo}
-                  intensity={intensityPointLightTwo}
-                />
-                <OrbitControls makeDefault enableZoom={false} />
-                <Model />
-                {groundVisible && <Ground01 />}
+                ${printStageElements()}
+                ${model.element}
+                ${ground ? `{groundVisible && ${ground.element}}` : ''}
               </Suspense>
             </Canvas>
-             {/* <div className='absolute bottom-0 flex justify-center w-full'>
-              <button
-                className='absolute bg-black bottom-2 px-2 py-16 rounded-full text-white text-xl w-3/12'
-                onClick={() =>
-                  download(JSON.stringify(context), 'pixelmon.json', 'text/json')
-                }
-              >
-                save
-              </button>
-            </div>
-            <div className='absolute bottom-0 left-0'>
-              <input type='file' onChange={handleChange} />
-            </div> */}
+            <input ref={presetInput} type='file' accept='application/json,.json' onChange={loadPreset} hidden />
           </div>
           )
         }
 `
+  }
+
+  const code = `
+        ${printImports()}
+        ${models.map((model) => model.types || '').join('')}
+        ${hasControls ? printContext() : ''}
+        ${hasAliases ? printUniqueKeys() : ''}
+        ${components}
+        ${isApp ? printApp() : ''}
+`
+
+  // The result types as a module of their own, e.g. a .d.ts next to plain JavaScript output
+  const types = `
+        import * as THREE from 'three'
+        import { GLTF } from 'three-stdlib'
+        ${models.map((model) => model.declarations || '').join('')}
+`
+
+  const warnings = []
+  if ((options.instance || options.instanceall) && !hasInstances)
+    warnings.push('No geometry is used more than once, nothing was instanced')
+  const unknownPresetKeys = Object.keys(presetValues).filter((key) => !contextValues.has(key))
+  if (unknownPresetKeys.length)
+    warnings.push(`Preset values without a matching control were ignored: ${unknownPresetKeys.join(', ')}`)
+
+  return { code, types, warnings }
+}
+
+function parse(fileName, gltf, options = {}) {
+  return generate(fileName, gltf, options).code
 }
 
 module.exports = parse
+module.exports.generate = generate
@@ -0,0 +1,20 @@
+const fs = require('fs')
+const path = require('path')
+
+// Bump when the preset layout changes, readPreset rejects presets of any other version
+const version = 1
+
+function readPreset(preset) {
+  if (!preset || typeof preset !== 'object' || !preset.values || typeof preset.values !== 'object')
+    throw new Error('Invalid preset, expected { "version": ' + version + ', "values": { ... } }')
+  if (preset.version !== version) throw new Error(`Unsupported preset version ${preset.version}, expected ${version}`)
+  return { version, values: preset.values }
+}
+
+function loadPreset(file) {
+  const filePath = path.resolve(file)
+  if (!fs.existsSync(filePath)) throw new Error(file + ' does not exist.')
+  return readPreset(JSON.parse(fs.readFileSync(filePath, 'utf8')))
+}
+
+module.exports = { version, readPreset, loadPreset }
@@ -0,0 +1,221 @@
+const { findDuplicates } = require('./duplicates')
+const { readAnimation } = require('./animations')
+
+// Bumped whenever a field changes meaning or goes away, new fields don't bump it
+const version = 1
+
+// Width and height from the header of a PNG, JPEG, WebP or KTX2 image
+function getImageSize(bytes) {
+  const data = Buffer.from(bytes)
+  if (data.length > 24 && data.readUInt32BE(0) === 0x89504e47)
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) }
+  if (data.length > 4 && data[0] === 0xff && data[1] === 0xd8) {
+    let offset = 2
+    while (offset + 9 < data.length) {
+      const marker = data[offset + 1]
+      // Start of frame markers, except DHT (c4), JPG (c8) and DAC (cc)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker))
+        return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) }
+      offset += 2 + data.readUInt16BE(offset + 2)
+    }
+  }
+  if (data.length > 30 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = data.toString('ascii', 12, 16)
+    if (chunk === 'VP8 ') return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff }
+    if (chunk === 'VP8L') {
+      const bits = data.readUInt32LE(21)
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 }
+    }
+    if (chunk === 'VP8X') return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 }
+  }
+  if (data.length > 28 && data.toString('latin1', 1, 7) === 'KTX 20')
+    return { width: data.readUInt32LE(20), height: data.readUInt32LE(24) }
+  return { width: null, height: null }
+}
+
+// The vendored loader reads structure only, image bytes are taken from the GLB body or a data uri
+function readImage(parser, image) {
+  const { json, extensions } = parser
+  const binary = extensions && extensions.KHR_binary_glTF
+  if (image.bufferView !== undefined) {
+    const view = json.bufferViews[image.bufferView]
+    const buffer = json.buffers[view.buffer]
+    if (binary && binary.body && view.buffer === 0 && buffer.uri === undefined) {
+      const offset = view.byteOffset || 0
+      return getImageSize(binary.body.slice(offset, offset + view.byteLength))
+    }
+  }
+  if (image.uri && image.uri.startsWith('data:')) return getImageSize(Buffer.from(image.uri.split(',')[1], 'base64'))
+  // External images aren't read, the report only looks at what the loader was given
+  return { width: null, height: null }
+}
+
+// Geometries carry no data either, their primitive definitions tell the vertex and index counts
+async function getPrimitives(parser) {
+  const primitives = new Map()
+  for (const { primitive, promise } of Object.values(parser.primitiveCache || {}))
+    primitives.set(await promise, primitive)
+  return primitives
+}
+
+function countTriangles(json, primitive, vertices) {
+  const count = primitive.indices !== undefined ? json.accessors[primitive.indices].count : vertices
+  const mode = primitive.mode === undefined ? 4 : primitive.mode
+  if (mode === 4) return Math.floor(count / 3)
+  // Triangle strips and fans
+  if (mode === 5 || mode === 6) return Math.max(count - 2, 0)
+  return 0
+}
+
+// Every texture a glTF material (or one of its extensions) refers to, e.g. { slot: 'normalTexture', texture: 2 }
+function findTextures(def, prefix = '') {
+  return Object.keys(def || {}).flatMap((key) => {
+    const value = def[key]
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return []
+    if (/Texture$/.test(key) && typeof value.index === 'number') return [{ slot: prefix + key, texture: value.index }]
+    return findTextures(value, key === 'extensions' ? prefix : `${prefix}${key}.`)
+  })
+}
+
+// What parse sees in a model, as plain JSON for tools and dashboards
+async function createReport(fileName, gltf, options = {}) {
+  const round = (number) => parseFloat(number.toFixed(Math.round(options.precision || 2)))
+  const json = (gltf.parser && gltf.parser.json) || {}
+  const associations = (gltf.parser && gltf.parser.associations) || new Map()
+
+  const objects = []
+  gltf.scene.traverse((child) => objects.push(child))
+
+  function getPath(obj) {
+    const names = []
+    for (let current = obj; current; current = current.parent) names.unshift(current.name || current.type)
+    return names.join('/')
+  }
+
+  const nodes = objects.map((obj) => ({
+    type: obj.type,
+    name: obj.name,
+    path: getPath(obj),
+    position: obj.position.toArray().map(round),
+    rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z].map(round),
+    scale: obj.scale.toArray().map(round),
+  }))
+
+  const primitives = gltf.parser ? await getPrimitives(gltf.parser) : new Map()
+  const meshObjects = objects.filter((obj) => obj.isMesh)
+  const meshes = meshObjects.map((mesh) => {
+    const primitive = primitives.get(mesh.geometry)
+    const position = primitive && primitive.attributes.POSITION
+    const vertices = position !== undefined ? json.accessors[position].count : 0
+    return {
+      name: mesh.name,
+      path: getPath(mesh),
+      type: mesh.type,
+      vertices,
+      triangles: primitive ? countTriangles(json, primitive, vertices) : 0,
+      attributes: Object.keys(mesh.geometry.attributes),
+      morphTargets: Object.keys(mesh.morphTargetDictionary || {}),
+      material: mesh.material ? mesh.material.name : null,
+    }
+  })
+
+  const materialObjects = [...new Set(meshObjects.map((mesh) => mesh.material).filter(Boolean))]
+  const materialDefs = materialObjects.map((material) => {
+    const association = associations.get(material)
+    return association && json.materials ? json.materials[association.index] : null
+  })
+  const materials = materialObjects.map((material, i) => ({
+    name: material.name,
+    type: material.type,
+    maps: findTextures(materialDefs[i]),
+    meshes: meshObjects.filter((mesh) => mesh.material === material).map(getPath),
+  }))
+
+  const textures = (json.textures || []).map((texture, index) => {
+    const extensions = texture.extensions || {}
+    const source = [texture.source, ...Object.values(extensions).map((extension) => extension.source)]
+      .filter((source) => source !== undefined)
+      .pop()
+    const image = (json.images || [])[source] || {}
+    return {
+      index,
+      name: texture.name || image.name || null,
+      mimeType: image.mimeType || null,
+      uri: image.uri && !image.uri.startsWith('data:') ? image.uri : null,
+      ...readImage(gltf.parser, image),
+      usedBy: materials.flatMap(({ name, maps }) =>
+        maps.filter((map) => map.texture === index).map(({ slot }) => ({ material: name, slot }))
+      ),
+    }
+  })
+
+  // Targets are named like the objects they animate, which can differ from the json once names are made unique
+  const nodeNames = new Map()
+  objects.forEach((obj) => {
+    const association = associations.get(obj)
+    if (association && association.type === 'nodes') nodeNames.set(association.index, obj.name)
+  })
+  const animations = gltf.animations.map((clip, i) => {
+    const { duration, tracks, nodes } = readAnimation(json, i)
+    return {
+      name: clip.name,
+      duration: round(duration),
+      tracks,
+      targets: nodes.map((node) => (nodeNames.has(node) ? nodeNames.get(node) : json.nodes[node].name || null)),
+    }
+  })
+
+  const cameras = objects
+    .filter((obj) => obj.isCamera)
+    .map((camera) => ({
+      name: camera.name,
+      path: getPath(camera),
+      type: camera.type,
+      near: round(camera.near),
+      far: round(camera.far),
+      ...(camera.isPerspectiveCamera
+        ? { fov: round(camera.fov), aspect: round(camera.aspect) }
+        : {
+            left: round(camera.left),
+            right: round(camera.right),
+            top: round(camera.top),
+            bottom: round(camera.bottom),
+          }),
+    }))
+
+  const lights = objects
+    .filter((obj) => obj.isLight)
+    .map((light) => ({
+      name: light.name,
+      path: getPath(light),
+      type: light.type,
+      color: `#${light.color.getHexString()}`,
+      intensity: round(light.intensity),
+      ...(light.distance !== undefined && { distance: round(light.distance) }),
+      ...(light.angle !== undefined && { angle: round(light.angle), penumbra: round(light.penumbra) }),
+    }))
+
+  const skins = meshObjects
+    .filter((mesh) => mesh.isSkinnedMesh && mesh.skeleton)
+    .map((mesh) => ({ mesh: getPath(mesh), bones: mesh.skeleton.bones.map((bone) => bone.name) }))
+
+  // The geometries --instance would turn into drei <Merged> instances
+  const { geometries } = findDuplicates(gltf)
+  const instancing = Object.values(geometries).map(({ name, count, node }) => ({ name, count, node }))
+
+  return {
+    version,
+    file: fileName,
+    nodes,
+    meshes,
+    materials,
+    textures,
+    animations,
+    cameras,
+    lights,
+    skins,
+    instancing,
+  }
+}
+
+module.exports = { version, createReport, getImageSize }
@@ -0,0 +1,111 @@
+const fs = require('fs')
+const path = require('path')
+
+// Leva ranges for every backdrop element, null means leva infers the input from the value
+const controls = {
+  background: { gradient: null, color1: null, color2: null },
+  spot: {
+    position: null,
+    angle: { min: 0, max: 1, step: 0.1 },
+    penumbra: { min: 0, max: 1, step: 0.1 },
+    intensity: { min: 0, max: 3, step: 0.1 },
+  },
+  point: { position: null, intensity: { min: 0, max: 3, step: 0.1 } },
+  cloud: {
+    position: null,
+    opacity: { min: 0, max: 1, step: 0.1 },
+    speed: { min: 0, max: 1, step: 0.1 },
+    width: { min: 0, max: 10, step: 0.1 },
+    depth: { min: 0, max: 10, step: 0.1 },
+    segments: { min: 0, max: 15, step: 1 },
+  },
+  stars: {
+    radius: { min: 0, max: 300, step: 10 },
+    depth: { min: 0, max: 100, step: 5 },
+    count: { min: 0, max: 10000, step: 100 },
+    factor: { min: 0, max: 15, step: 1 },
+    saturation: { min: 0, max: 1, step: 0.1 },
+    fade: null,
+  },
+}
+
+// Fallback values for single elements, used to complete partial definitions
+const elements = {
+  background: { gradient: true, color1: { r: 2, g: 132, b: 199 }, color2: { r: 125, g: 211, b: 252 } },
+  spot: { position: [3, 10, 3], angle: 0.5, penumbra: 1, intensity: 0.2 },
+  point: { position: [0, 5, 0], intensity: 0.5 },
+  cloud: { position: [0, 10, 0], opacity: 0.2, speed: 0.4, width: 1, depth: 1.5, segments: 2 },
+  stars: { radius: 100, depth: 25, count: 5000, factor: 4, saturation: 1, fade: true },
+  camera: { position: [1.5, 1, 1.75], fov: 50 },
+  ambient: { intensity: 0.3 },
+  orbitControls: { enableZoom: false },
+  ground: { size: 10, opacity: 0.4, position: [0, 0, 0] },
+}
+
+// The stage that is generated when no definition is given
+const defaults = {
+  camera: elements.camera,
+  background: elements.background,
+  ambient: elements.ambient,
+  orbitControls: elements.orbitControls,
+  lights: [
+    { type: 'spot', position: [3, 10, 3], angle: 0.5, penumbra: 1, intensity: 0.2 },
+    { type: 'point', position: [10, 7, 10], intensity: 0.2 },
+    { type: 'point', position: [5, 0.5, 5], intensity: 1 },
+  ],
+  clouds: [
+    { position: [3, 10, 3], opacity: 0.2, speed: 0.4, width: 1, depth: 1.5, segments: 2 },
+    { position: [-8, 8, -6], opacity: 0.2, speed: 0.4, width: 1, depth: 1.5, segments: 1 },
+    { position: [-3, 15, -3], opacity: 0.2, speed: 0.4, width: 2, depth: 1, segments: 6 },
+  ],
+  stars: elements.stars,
+  ground: elements.ground,
+}
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+// Definitions come from config files and presets, a wrong type is reported by its key instead of failing later
+function element(key, value, fallback) {
+  if (value === false || value === null) return false
+  if (value === undefined || value === true) return { ...fallback }
+  if (!isObject(value)) throw new Error(`Stage ${key} must be an object, true or false, got ${JSON.stringify(value)}`)
+  return { ...fallback, ...value }
+}
+
+function list(key, value, fallback, createItem) {
+  if (value === false || value === null) return []
+  if (value === undefined || value === true) return fallback
+  if (!Array.isArray(value)) throw new Error(`Stage ${key} must be a list, true or false, got ${JSON.stringify(value)}`)
+  return value.map((item, i) => {
+    if (!isObject(item)) throw new Error(`Stage ${key}[${i}] must be an object, got ${JSON.stringify(item)}`)
+    return createItem(item)
+  })
+}
+
+function createStage(definition = {}) {
+  const lights = list('lights', definition.lights, defaults.lights, (light) => {
+    const type = light.type || 'point'
+    if (type !== 'spot' && type !== 'point')
+      throw new Error(`Unknown stage light type "${type}", expected "spot" or "point"`)
+    return { ...elements[type], ...light, type }
+  })
+  return {
+    camera: element('camera', definition.camera, defaults.camera) || defaults.camera,
+    background: element('background', definition.background, defaults.background),
+    ambient: element('ambient', definition.ambient, defaults.ambient),
+    orbitControls: element('orbitControls', definition.orbitControls, defaults.orbitControls),
+    lights,
+    clouds: list('clouds', definition.clouds, defaults.clouds, (cloud) => ({ ...elements.cloud, ...cloud })),
+    stars: element('stars', definition.stars, defaults.stars),
+    ground: element('ground', definition.ground, defaults.ground),
+  }
+}
+
+function loadStage(file) {
+  const filePath = path.resolve(file)
+  if (!fs.existsSync(filePath)) throw new Error(file + ' does not exist.')
+  if (path.extname(filePath) === '.json') return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  return require(filePath)
+}
+
+module.exports = { controls, createStage, loadStage }
@@ -1,33 +1,167 @@
-const { NodeIO } = require('@gltf-transform/core')
-const { dedup, resample, prune, textureResize } = require('@gltf-transform/functions')
-const { DracoMeshCompression, KHRONOS_EXTENSIONS } = require('@gltf-transform/extensions')
+const fs = require('fs')
+const { Logger, NodeIO } = require('@gltf-transform/core')
+const {
+  dedup,
+  instance,
+  prune,
+  quantize,
+  reorder,
+  resample,
+  textureResize,
+  weld,
+} = require('@gltf-transform/functions')
+const {
+  DracoMeshCompression,
+  KHRONOS_EXTENSIONS,
+  MeshGPUInstancing,
+  MeshoptCompression,
+} = require('@gltf-transform/extensions')
 const draco3d = require('draco3dgltf')
+const { MeshoptDecoder, MeshoptEncoder } = require('meshoptimizer')
 
+// Every step can be turned off, weld, quantize and gpuinstancing are opt-in
+const defaults = {
+  dedup: true,
+  weld: false,
+  quantize: false,
+  gpuinstancing: false,
+  resample: true,
+  prune: true,
+  resolution: 1024,
+  compress: 'draco',
+  dracomethod: 'edgebreaker',
+}
+
+const compressions = ['draco', 'meshopt', 'none']
+const dracoMethods = {
+  edgebreaker: DracoMeshCompression.EncoderMethod.EDGEBREAKER,
+  sequential: DracoMeshCompression.EncoderMethod.SEQUENTIAL,
+}
+// Draco names its attributes differently than glTF does
+const dracoAttributes = {
+  position: 'POSITION',
+  normal: 'NORMAL',
+  color: 'COLOR',
+  texcoord: 'TEX_COORD',
+  generic: 'GENERIC',
+}
+
+function getDracoOptions({ dracomethod, dracolevel, dracobits }) {
+  if (dracoMethods[dracomethod] === undefined)
+    throw new Error(`Unknown draco method "${dracomethod}", expected one of ${Object.keys(dracoMethods).join(', ')}`)
+  const options = { method: dracoMethods[dracomethod] }
+  // 0 is the fastest to decode, 10 the smallest, draco itself counts the other way round in speeds
+  if (dracolevel !== undefined) {
+    if (!(dracolevel >= 0 && dracolevel <= 10)) throw new Error(`Draco level ${dracolevel} is out of range, 0 to 10`)
+    options.encodeSpeed = options.decodeSpeed = 10 - Math.round(dracolevel)
+  }
+  // A number sets the position bits, an object sets bits per attribute, e.g. { position: 14, normal: 10 }
+  if (dracobits !== undefined) {
+    const bits = typeof dracobits === 'number' ? { position: dracobits } : dracobits
+    options.quantizationBits = Object.keys(bits).reduce((all, key) => {
+      if (!dracoAttributes[key])
+        throw new Error(`Unknown draco attribute "${key}", expected one of ${Object.keys(dracoAttributes).join(', ')}`)
+      return { ...all, [dracoAttributes[key]]: bits[key] }
+    }, {})
+  }
+  return options
+}
+
+// Triangles of all primitives (indexed or not) and the bytes of all texture images
+function measure(document, binary) {
+  const root = document.getRoot()
+  const triangles = root
+    .listMeshes()
+    .flatMap((mesh) => mesh.listPrimitives())
+    .filter((primitive) => primitive.getMode() === 4 && primitive.getAttribute('POSITION'))
+    .reduce((sum, primitive) => {
+      const indices = primitive.getIndices()
+      return sum + Math.floor((indices || primitive.getAttribute('POSITION')).getCount() / 3)
+    }, 0)
+  const textures = root.listTextures().reduce((sum, texture) => sum + (texture.getImage() || []).byteLength, 0)
+  return { size: binary.byteLength, triangles, textures }
+}
+
+// Resolves with the size, triangle count and texture bytes before and after every step, and the warnings of
+// glTF-Transform, which would otherwise go to the console
 async function transform(file, output, config = {}) {
-  const io = new NodeIO().registerExtensions([DracoMeshCompression, ...KHRONOS_EXTENSIONS]).registerDependencies({
-    'draco3d.decoder': await draco3d.createDecoderModule(),
-    'draco3d.encoder': await draco3d.createEncoderModule(),
-  })
+  config = { ...defaults, ...config }
+  if (!compressions.includes(config.compress))
+    throw new Error(`Unknown compression "${config.compress}", expected one of ${compressions.join(', ')}`)
+  const dracoOptions = config.compress === 'draco' && getDracoOptions(config)
 
-  const document = io.read(file)
+  const warnings = []
+  const logger = new Logger(Logger.Verbosity.WARN)
+  logger.warn = logger.error = (text) => warnings.push(text)
+  logger.info = logger.debug = () => {}
 
-  await document.transform(
+  const io = new NodeIO()
+    .setLogger(logger)
+    .registerExtensions([DracoMeshCompression, MeshoptCompression, MeshGPUInstancing, ...KHRONOS_EXTENSIONS])
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'meshopt.decoder': await MeshoptDecoder.ready.then(() => MeshoptDecoder),
+      'meshopt.encoder': await MeshoptEncoder.ready.then(() => MeshoptEncoder),
+    })
+
+  const document = io.read(file).setLogger(logger)
+  // instance() drops the instancing a model already has (it empties those nodes), such models keep theirs
+  const instanced = document
+    .getRoot()
+    .listExtensionsUsed()
+    .some((extension) => extension.extensionName === MeshGPUInstancing.EXTENSION_NAME)
+  if (config.gpuinstancing && instanced)
+    warnings.push(`gpuinstancing is skipped, ${file} already uses ${MeshGPUInstancing.EXTENSION_NAME}`)
+  const steps = [
     // Remove duplicate vertex or texture data, if any.
-    dedup(),
+    config.dedup && ['dedup', dedup()],
+    // Merge vertices that are (nearly) identical, this indexes unindexed meshes.
+    config.weld && ['weld', weld()],
+    // Reuse meshes through EXT_mesh_gpu_instancing.
+    config.gpuinstancing && !instanced && ['gpuinstancing', instance()],
     // Losslessly resample animation frames.
-    resample(),
+    config.resample && ['resample', resample()],
     // Remove unused nodes, textures, or other data.
-    prune(),
-    // Resize all textures to ≤1K.
-    textureResize({ size: [1024, 1024] })
-  )
+    config.prune && ['prune', prune()],
+    // Store vertex attributes in smaller types (KHR_mesh_quantization).
+    // Meshopt compresses quantized attributes much better, it needs them anyway.
+    (config.quantize || config.compress === 'meshopt') && ['quantize', quantize()],
+    // Order vertices and indices for the meshopt encoder.
+    config.compress === 'meshopt' && ['reorder', reorder({ encoder: MeshoptEncoder })],
+    // Resize all textures to fit the resolution.
+    config.resolution > 0 && ['resize', textureResize({ size: [config.resolution, config.resolution] })],
+  ].filter(Boolean)
+
+  // Every step is measured on the binary it would write, the last one is what ends up in output
+  let binary = io.writeBinary(document)
+  const stats = [{ step: 'input', ...measure(document, binary) }]
+  for (const [step, fn] of steps) {
+    await document.transform(fn)
+    binary = io.writeBinary(document)
+    stats.push({ step, ...measure(document, binary) })
+  }
 
   // Add Draco compression.
-  document.createExtension(DracoMeshCompression).setRequired(true).setEncoderOptions({
-    method: DracoMeshCompression.EncoderMethod.EDGEBREAKER,
-  })
+  if (dracoOptions) {
+    document.createExtension(DracoMeshCompression).setRequired(true).setEncoderOptions(dracoOptions)
+    binary = io.writeBinary(document)
+    stats.push({ step: 'draco', ...measure(document, binary) })
+  }
+
+  // Or EXT_meshopt_compression, which decodes a lot faster.
+  if (config.compress === 'meshopt') {
+    document
+      .createExtension(MeshoptCompression)
+      .setRequired(true)
+      .setEncoderOptions({ method: MeshoptCompression.EncoderMethod.QUANTIZE })
+    binary = io.writeBinary(document)
+    stats.push({ step: 'meshopt', ...measure(document, binary) })
+  }
 
-  io.write(output, document)
+  fs.writeFileSync(output, Buffer.from(binary))
+  return { stats, warnings }
 }
 
 module.exports = transform
+module.exports.defaults = defaults
@@ -0,0 +1,47 @@
+const fs = require('fs')
+const path = require('path')
+
+function readGltfJson(file) {
+  const data = fs.readFileSync(file)
+  // Binary glTF starts with the 'glTF' magic, its first chunk is the JSON
+  if (data.length > 20 && data.toString('utf8', 0, 4) === 'glTF') {
+    const length = data.readUInt32LE(12)
+    return JSON.parse(data.toString('utf8', 20, 20 + length))
+  }
+  return JSON.parse(data.toString('utf8'))
+}
+
+// Files a model is read from: the model itself plus the external buffers and images it refers to
+function getDependencies(file) {
+  let json
+  try {
+    json = readGltfJson(file)
+  } catch (e) {
+    return [path.resolve(file)]
+  }
+  const uris = [...(json.buffers || []), ...(json.images || [])]
+    .map(({ uri }) => uri)
+    .filter((uri) => uri && !/^(data|https?):/.test(uri))
+  return [file, ...uris.map((uri) => path.join(path.dirname(file), decodeURIComponent(uri)))].map((file) =>
+    path.resolve(file)
+  )
+}
+
+// Calls onChange once changes have settled, editors and exporters usually write a file in several steps
+function watchFiles(files, onChange, delay = 300) {
+  let timeout
+  const watchers = [...new Set(files)]
+    .filter((file) => fs.existsSync(file))
+    .map((file) =>
+      fs.watch(file, () => {
+        clearTimeout(timeout)
+        timeout = setTimeout(() => onChange(file), delay)
+      })
+    )
+  return () => {
+    clearTimeout(timeout)
+    watchers.forEach((watcher) => watcher.close())
+  }
+}
+
+module.exports = { getDependencies, watchFiles }